@@ -1,7 +1,3 @@
-// TODO List:
-// - Physics
-// - Rectangles and other simple shapes
-
 /************* HELPER FUNCTIONS *************/
 
 const cyrb53 = (str, seed = 0) => {
@@ -19,6 +15,73 @@ const cyrb53 = (str, seed = 0) => {
     return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString();
 };
 
+// Check that obj is a PoliPhaser instance (image, sprite, shape, ...) and that it has not been destroyed yet.
+// The name is the one of the parameter in the error messages.
+const assert_instance = (obj, name = "obj") => {
+    PP.debug.assert(typeof obj === "object" && obj !== null, "param_object", {name: name});
+    PP.debug.assert(typeof obj.ph_obj === "object",          "param_invalid_object", {name: name});
+    PP.debug.assert(!obj.destroyed && obj.ph_obj.scene,      "destroyed_object");
+};
+
+// Check that instances is an instance (or a tilemap layer), an array of instances or a group, as accepted by the
+// collision functions, and that none of the instances has been destroyed.
+const assert_instances = (instances, name) => {
+    PP.debug.assert(typeof instances === "object" && instances !== null, "param_instances", {name: name});
+    if (instances.type === "group") {
+        return;
+    }
+    (Array.isArray(instances) ? instances : [instances]).forEach(instance => {
+        PP.debug.assert(typeof instance === "object" && instance !== null && typeof instance.ph_obj === "object",
+                        "param_instances", {name: name});
+        PP.debug.assert(!instance.destroyed && instance.ph_obj.scene, "destroyed_object");
+    });
+};
+
+// Convert a color from the 0xRRGGBB number format to the "#rrggbb" string format.
+const to_css_color = (color) => {
+    return "#" + color.toString(16).padStart(6, "0");
+};
+
+// Given a PoliPhaser instance or an array of instances, return the instance wrapping the Phaser object ph_obj
+// (or undefined if none of them does). When colliding with a tilemap layer, Phaser gives the tile instead of
+// the layer, so in this case a plain object describing the tile is returned.
+const find_instance = (instances, ph_obj) => {
+    if (Array.isArray(instances)) {
+        return instances.find(instance => instance.ph_obj === ph_obj);
+    }
+    if (instances.type === "group") {
+        return instances.members.find(instance => instance.ph_obj === ph_obj);
+    }
+    if (instances.layer_name !== undefined && ph_obj.tilemapLayer === instances.ph_obj) {
+        return {index: ph_obj.index, col: ph_obj.x, row: ph_obj.y};
+    }
+    return instances.ph_obj === ph_obj ? instances : undefined;
+};
+
+// Convert an instance, an array of instances or a group to what Phaser expects as collider argument.
+// For groups we return the array kept updated by the PP.groups functions, so that Phaser sees the new members.
+const to_ph_objs = (instances) => {
+    if (Array.isArray(instances)) {
+        return instances.map(instance => instance.ph_obj);
+    }
+    if (instances.type === "group") {
+        return instances.ph_objs;
+    }
+    return instances.ph_obj;
+};
+
+// Call a collision/overlap callback with the PoliPhaser instances instead of the Phaser objects.
+// Phaser may swap the two colliding objects, so we look for them in both orders.
+const call_collision_callback = (scene, obj1, obj2, ph_obj1, ph_obj2, function_to_call) => {
+    let instance1 = find_instance(obj1, ph_obj1);
+    let instance2 = find_instance(obj2, ph_obj2);
+    if (instance1 === undefined || instance2 === undefined) {
+        instance1 = find_instance(obj1, ph_obj2);
+        instance2 = find_instance(obj2, ph_obj1);
+    }
+    function_to_call(scene, instance1, instance2);
+};
+
 /************* MAIN OBJECTS *************/
 
 /**
@@ -39,7 +102,10 @@ PP.game   = {};
  * @namespace
  * @memberof PP
  */
-PP.scenes = {};
+PP.scenes = {
+    main_scene_name : undefined,  // The name of the main (non-overlay) scene currently running
+    overlay_stack   : [],         // The names of the overlay scenes currently running, the last one is the top-most
+};
 
 /**
  * The namespace containing functions to load and manage assets
@@ -48,6 +114,7 @@ PP.scenes = {};
  */
 PP.assets = {
     list_images_id : [],
+    list_audio_id  : [],
 };
 
 /**
@@ -64,6 +131,41 @@ PP.assets.image  = {};
  */
 PP.assets.sprite = {};
 
+/**
+ * The namespace containing functions to load fonts and to write text
+ * @namespace
+ * @memberof PP
+ */
+PP.assets.text   = {};
+
+/**
+ * The namespace containing functions to load and play sounds and music
+ * @namespace
+ * @memberof PP
+ */
+PP.assets.audio  = {};
+
+/**
+ * The namespace containing functions to load and manage tilemaps (e.g. levels drawn with Tiled)
+ * @namespace
+ * @memberof PP
+ */
+PP.assets.tilemap = {};
+
+
+/**
+ * The namespace containing functions to move, transform and destroy any instance (images, sprites, shapes, ...)
+ * @namespace
+ * @memberof PP
+ */
+PP.game_object = {};
+
+/**
+ * The namespace containing functions to draw simple geometric shapes (rectangles, circles, lines, etc.)
+ * @namespace
+ * @memberof PP
+ */
+PP.shapes = {};
 
 /**
  * The namespace containing functions for the mouse and keyboard management.
@@ -71,18 +173,442 @@ PP.assets.sprite = {};
  * @memberof PP
  */
 PP.interactive = {
-    mouse : {}
+    mouse : {},
+    kb    : {}
+};
+
+/**
+ * The table of key codes accepted by the PP.interactive.kb functions, e.g. PP.key_codes.LEFT or PP.key_codes.A
+ * @namespace
+ * @memberof PP
+ */
+PP.key_codes = {
+    BACKSPACE : 8,  TAB   : 9,  ENTER : 13, SHIFT : 16, CTRL  : 17, ALT   : 18,
+    ESC       : 27, SPACE : 32, LEFT  : 37, UP    : 38, RIGHT : 39, DOWN  : 40,
+    ZERO  : 48, ONE   : 49, TWO   : 50, THREE : 51, FOUR  : 52,
+    FIVE  : 53, SIX   : 54, SEVEN : 55, EIGHT : 56, NINE  : 57,
+    A : 65, B : 66, C : 67, D : 68, E : 69, F : 70, G : 71, H : 72, I : 73,
+    J : 74, K : 75, L : 76, M : 77, N : 78, O : 79, P : 80, Q : 81, R : 82,
+    S : 83, T : 84, U : 85, V : 86, W : 87, X : 88, Y : 89, Z : 90
+};
+
+/**
+ * The namespace containing functions to move the camera, i.e. the part of the world shown on the canvas.
+ * @namespace
+ * @memberof PP
+ */
+PP.camera = {};
+
+/**
+ * The namespace containing functions to animate the properties of instances over time (position, alpha, ...)
+ * @namespace
+ * @memberof PP
+ */
+PP.tweens = {
+    // PoliPhaser easing names and the corresponding Phaser ones
+    easings : {
+        "linear"         : "Linear",
+        "quad_in"        : "Quad.easeIn",    "quad_out"    : "Quad.easeOut",    "quad_in_out"    : "Quad.easeInOut",
+        "cubic_in"       : "Cubic.easeIn",   "cubic_out"   : "Cubic.easeOut",   "cubic_in_out"   : "Cubic.easeInOut",
+        "sine_in"        : "Sine.easeIn",    "sine_out"    : "Sine.easeOut",    "sine_in_out"    : "Sine.easeInOut",
+        "back_in"        : "Back.easeIn",    "back_out"    : "Back.easeOut",    "back_in_out"    : "Back.easeInOut",
+        "bounce_in"      : "Bounce.easeIn",  "bounce_out"  : "Bounce.easeOut",  "bounce_in_out"  : "Bounce.easeInOut",
+        "elastic_in"     : "Elastic.easeIn", "elastic_out" : "Elastic.easeOut", "elastic_in_out" : "Elastic.easeInOut",
+    },
+    // PoliPhaser property names and the corresponding Phaser ones
+    properties : {
+        "x" : "x", "y" : "y", "alpha" : "alpha", "angle" : "angle", "scale_x" : "scaleX", "scale_y" : "scaleY"
+    }
+};
+
+/**
+ * The namespace containing functions to call functions after a delay or periodically
+ * @namespace
+ * @memberof PP
+ */
+PP.timers = {};
+
+/**
+ * The namespace containing functions to manage groups of instances (e.g. bullets, coins or enemies)
+ * @namespace
+ * @memberof PP
+ */
+PP.groups = {};
+
+/**
+ * The namespace containing functions to save and load data (e.g. high scores) that persist when the page is reloaded
+ * @namespace
+ * @memberof PP
+ */
+PP.storage = {};
+
+/**
+ * The namespace containing functions to emit particles, for effects like explosions, dust and rain
+ * @namespace
+ * @memberof PP
+ */
+PP.particles = {
+    // PoliPhaser blend mode names and the corresponding Phaser ones
+    blend_modes : {
+        "normal" : "NORMAL", "add" : "ADD", "multiply" : "MULTIPLY", "screen" : "SCREEN"
+    }
+};
+
+/**
+ * The namespace containing functions to generate random numbers that can be repeated, by setting the same seed
+ * @namespace
+ * @memberof PP
+ */
+PP.random = {};
+
+/**
+ * The namespace containing functions to record the mouse and the keyboard while playing and replay them, e.g. to reproduce a bug
+ * @namespace
+ * @memberof PP
+ */
+PP.replay = {};
+
+/**
+ * The namespace containing functions for the arcade physics: bodies, velocities and collisions.
+ * @namespace
+ * @memberof PP
+ */
+PP.physics = {
+    type : {
+        DYNAMIC : "dynamic",
+        STATIC  : "static"
+    }
 };
 
 
+/**
+ * The namespace containing functions to translate the error and warning messages in other languages.
+ * @namespace
+ * @memberof PP
+ */
+PP.messages = {};
+
+/**
+ * The namespace containing the functions to check the correct usage of the other functions.
+ * @namespace
+ * @memberof PP
+ */
 PP.debug = {
-    assert : function(condition, message) {
+    /**
+     * Throw an error if a condition is not satisfied, with a message in the language of the game.
+     * @function assert
+     * @memberof PP.debug
+     * @param {boolean}  condition   The condition to check.
+     * @param {string}   message_id  The id of the message (see PP.messages.get_language), or the message itself.
+     * @param {object}   [params]    The values of the placeholders of the message, e.g. {name: "x"}.
+     */
+    assert : function(condition, message_id, params = {}) {
         if (!condition) {
-            throw new Error("Assertion failed: " + message);
+            let error = new Error(get_message("assertion_failed", {message: get_message(message_id, params)}));
+
+            // In debug mode, we also tell which function was called and the wrong parameter (if any)
+            if (debug_call_stack.length > 0) {
+                error.function_name  = debug_call_stack[debug_call_stack.length - 1];
+                error.parameter_name = params.name;
+            }
+            throw error;
         }
     }
 }
 
+
+/************* MESSAGES *************/
+
+// The error and warning messages, by language and id. The placeholders between braces (e.g. {name}) are replaced
+// with the values given to get_message. Further languages can be added with PP.messages.add_language.
+const messages_catalog = {
+    en : {
+        param_object               : "Parameter error: {name} should be an object.",
+        param_invalid_object       : "Parameter error: {name} is an object but it is not a valid object.",
+        destroyed_object           : "The object has already been destroyed and cannot be used anymore.",
+        param_not_number           : "Parameter error: {name} is not a number.",
+        param_not_string           : "Parameter error: {name} is not a string.",
+        param_not_positive_number  : "Parameter error: {name} is not a positive number.",
+        param_not_boolean          : "Parameter error: {name} is not a boolean.",
+        no_scenes                  : "You need to add at least one scene!",
+        start_missing_scene        : "Trying to start a non-existent scene: {scene_name}",
+        param_not_function         : "Parameter error: {name} is not a function.",
+        duplicated_scene           : "Duplicated scene name: {scene_name}",
+        scene_not_found            : "No scene named '{scene_name}' exist.",
+        restart_without_scene      : "Well, you should start a scene before restarting it!",
+        stop_without_scene         : "Well, you should start a scene before stopping it!",
+        overlay_without_scene      : "A non-overlay scene must be previously started.",
+        scene_already_running      : "The scene '{scene_name}' is already running.",
+        no_overlay                 : "There is no overlay to stop.",
+        param_scene                : "Parameter error: {name} should be a scene object.",
+        param_string               : "Parameter error: {name} should be a string.",
+        param_image_object         : "Parameter error: {name} is not a valid image object.",
+        param_not_image            : "Parameter error: {name} is an object but not an image.",
+        param_number               : "Parameter error: {name} should be a number.",
+        param_between_0_1          : "Parameter error: {name} must be between 0 and 1.",
+        param_sprite_object        : "Parameter error: {name} is not a valid sprite object.",
+        param_not_sprite           : "Parameter error: {name} is an object but not a sprite.",
+        duplicated_animation       : "Duplicated animation name: '{animation_name}' already exists for this spritesheet with different frames.",
+        param_sprite_instance      : "Parameter error: {name} is not a valid sprite instance.",
+        param_negative             : "Parameter error: {name} invalid number (<0).",
+        param_not_positive         : "Parameter error: {name} invalid number (<=0).",
+        param_less_than_minus_one  : "Parameter error: {name} invalid number (<-1).",
+        param_non_empty_array      : "Parameter error: {name} should be a non-empty array.",
+        param_frame_numbers        : "Parameter error: {name} should contain only frame numbers (>=0).",
+        param_not_atlas            : "Parameter error: {name} is not loaded from an atlas (see PP.assets.sprite.load_atlas).",
+        no_atlas_frames            : "No frame of the atlas starts with '{prefix}'.",
+        param_boolean              : "Parameter error: {name} should be a boolean.",
+        animation_not_found        : "Animation does not exist!",
+        param_function             : "Parameter error: {name} should be a function.",
+        param_text_option          : "Parameter error: '{option}' is not a valid text style option.",
+        param_font                 : "Parameter error: {name} should be a string or a font returned by PP.assets.text.load_web_font.",
+        param_font_style           : "Parameter error: {name} should be \"normal\", \"bold\", \"italic\" or \"bold italic\".",
+        param_align                : "Parameter error: {name} should be \"left\", \"center\" or \"right\".",
+        param_not_bitmap_font      : "Parameter error: {name} is an object but not a bitmap font.",
+        param_text_instance        : "Parameter error: {name} is not a valid text instance.",
+        param_string_or_strings    : "Parameter error: {name} should be a string or an array of strings.",
+        param_not_audio            : "Parameter error: {name} is an object but not an audio.",
+        param_sound_instance       : "Parameter error: {name} is not a valid sound instance.",
+        mute_before_create         : "The game must be created (PP.game.create) before muting it.",
+        is_muted_before_create     : "The game must be created (PP.game.create) before checking the mute.",
+        param_not_tilemap          : "Parameter error: {name} is an object but not a tilemap.",
+        param_number_csv           : "Parameter error: {name} should be a number for CSV maps.",
+        param_tilemap_instance     : "Parameter error: {name} is not a valid tilemap instance.",
+        tileset_not_found          : "The tilemap does not contain a tileset named '{tileset_name}'.",
+        no_tilesets                : "You need to add at least one tileset with PP.assets.tilemap.add_tileset!",
+        tile_layer_not_found       : "The tilemap does not contain a tile layer named '{layer_name}'.",
+        param_layer_instance       : "Parameter error: {name} is not a valid layer instance.",
+        param_array_of_numbers     : "Parameter error: {name} should be an array of numbers.",
+        param_tile_outside_map     : "Parameter error: col and row must be inside the map.",
+        object_layer_not_found     : "The tilemap does not contain an object layer named '{layer_name}'.",
+        manifest_section           : "Manifest error: '{section}' is not a valid section.",
+        manifest_spritesheet       : "Manifest error: the spritesheet '{asset_name}' should be an object.",
+        manifest_atlas             : "Manifest error: the atlas '{asset_name}' should be an object.",
+        param_object_or_string     : "Parameter error: {name} should be an object or a string.",
+        param_color                : "Parameter error: {name} must be between 0x000000 and 0xFFFFFF.",
+        param_cannot_flip          : "Parameter error: {name} cannot be flipped.",
+        param_cannot_tint          : "Parameter error: {name} cannot be tinted, use PP.shapes.set_fill for shapes.",
+        param_size_negative        : "Parameter error: width and height cannot be negative.",
+        param_cannot_be_negative   : "Parameter error: {name} cannot be negative.",
+        param_array                : "Parameter error: {name} should be an array.",
+        param_only_numbers         : "Parameter error: {name} should contain only numbers.",
+        param_polygon_points       : "Parameter error: {name} should contain an x and a y for at least three vertices.",
+        param_shape_instance       : "Parameter error: {name} is not a valid shape instance.",
+        param_not_rectangle        : "Parameter error: {name} is not a rectangle instance.",
+        param_invalid              : "Parameter error: {name} is invalid.",
+        not_draggable              : "The object is not draggable: call PP.interactive.mouse.set_draggable first.",
+        param_key                  : "Parameter error: {name} is not a valid key (see PP.key_codes).",
+        param_physics_type         : "Parameter error: {name} must be PP.physics.type.DYNAMIC or PP.physics.type.STATIC.",
+        already_has_body           : "The instance has already a physics body.",
+        param_no_dynamic_body      : "Parameter error: {name} has no dynamic physics body.",
+        param_no_body              : "Parameter error: {name} has no physics body.",
+        param_instances            : "Parameter error: {name} should be an instance, an array of instances or a group.",
+        param_group                : "Parameter error: {name} is not a valid group.",
+        already_group_member       : "The object is already a member of the group.",
+        not_group_member           : "The object is not a member of the group.",
+        param_between_0_excluded_1 : "Parameter error: {name} must be greater than 0 and not greater than 1.",
+        param_size_positive        : "Parameter error: width and height must be positive numbers.",
+        param_tween_option         : "Parameter error: '{option}' is not a valid tween option.",
+        param_easing               : "Parameter error: {name} is not a valid easing name.",
+        param_tween_properties     : "Parameter error: {name} should contain at least one property to animate (x, y, alpha, ...).",
+        param_tween                : "Parameter error: {name} is not a valid tween object.",
+        param_timer                : "Parameter error: {name} is not a valid timer object.",
+        storage_unavailable        : "The browser storage is not available (it may be disabled by the browser settings).",
+        storage_before_create      : "The game must be created (PP.game.create) before using the storage.",
+        param_not_serializable     : "Parameter error: {name} cannot be saved, it should contain only numbers, strings, booleans, null, arrays and objects.",
+        storage_full               : "The browser storage is full, the value '{key}' cannot be saved.",
+        param_image_or_sprite      : "Parameter error: {name} should be an image or a sprite returned by PP.assets.image.load or PP.assets.sprite.load_spritesheet.",
+        param_particle_option      : "Parameter error: '{option}' is not a valid emitter option.",
+        param_blend_mode           : "Parameter error: {name} should be \"normal\", \"add\", \"multiply\" or \"screen\".",
+        param_emitter              : "Parameter error: {name} is not a valid emitter object.",
+        param_integer              : "Parameter error: {name} should be an integer.",
+        param_max_less_than_min    : "Parameter error: max cannot be less than min.",
+        param_recording            : "Parameter error: {name} is not a valid recording (see PP.replay.stop_recording).",
+        replay_before_create       : "The game must be created (PP.game.create) before recording or replaying it.",
+        not_recording              : "There is no recording to stop: call PP.replay.start_recording first.",
+        param_language             : "Parameter error: {name} is not an available language (see PP.messages.add_language).",
+        param_message_id           : "Parameter error: '{message_id}' is not a valid message id.",
+        assertion_failed           : "Assertion failed: {message}",
+        warn_file_not_loaded       : "WARNING: the file {url} cannot be loaded. Please check its path.",
+        warn_duplicated_image      : "WARNING: you are trying to load multiple times the same image/spritesheet ({path}). Aborting this load request.",
+        warn_duplicated_font       : "WARNING: you are trying to load multiple times the same font ({path}). Aborting this load request.",
+        warn_duplicated_audio      : "WARNING: you are trying to load multiple times the same audio ({path}). Aborting this load request.",
+        warn_duplicated_tilemap    : "WARNING: you are trying to load multiple times the same tilemap ({path}). Aborting this load request.",
+        warn_corrupted_value       : "WARNING: the saved value \"{key}\" is corrupted. Returning the default value.",
+        debug_clicked_instance     : "PoliPhaser debug: clicked instance",
+        debug_error_in             : "Error in {function_name}:",
+        debug_error_in_parameter   : "Error in {function_name} (parameter {parameter_name}):",
+    },
+    it : {
+        param_object               : "Errore nei parametri: {name} dovrebbe essere un oggetto.",
+        param_invalid_object       : "Errore nei parametri: {name} è un oggetto ma non è un oggetto valido.",
+        destroyed_object           : "L'oggetto è già stato distrutto e non può più essere usato.",
+        param_not_number           : "Errore nei parametri: {name} non è un numero.",
+        param_not_string           : "Errore nei parametri: {name} non è una stringa.",
+        param_not_positive_number  : "Errore nei parametri: {name} non è un numero positivo.",
+        param_not_boolean          : "Errore nei parametri: {name} non è un booleano.",
+        no_scenes                  : "Devi aggiungere almeno una scena!",
+        start_missing_scene        : "Stai provando ad avviare una scena che non esiste: {scene_name}",
+        param_not_function         : "Errore nei parametri: {name} non è una funzione.",
+        duplicated_scene           : "Nome di scena duplicato: {scene_name}",
+        scene_not_found            : "Non esiste nessuna scena chiamata '{scene_name}'.",
+        restart_without_scene      : "Beh, dovresti avviare una scena prima di riavviarla!",
+        stop_without_scene         : "Beh, dovresti avviare una scena prima di fermarla!",
+        overlay_without_scene      : "Prima deve essere avviata una scena che non sia un overlay.",
+        scene_already_running      : "La scena '{scene_name}' è già in esecuzione.",
+        no_overlay                 : "Non c'è nessun overlay da fermare.",
+        param_scene                : "Errore nei parametri: {name} dovrebbe essere un oggetto scena.",
+        param_string               : "Errore nei parametri: {name} dovrebbe essere una stringa.",
+        param_image_object         : "Errore nei parametri: {name} non è un oggetto immagine valido.",
+        param_not_image            : "Errore nei parametri: {name} è un oggetto ma non un'immagine.",
+        param_number               : "Errore nei parametri: {name} dovrebbe essere un numero.",
+        param_between_0_1          : "Errore nei parametri: {name} deve essere compreso tra 0 e 1.",
+        param_sprite_object        : "Errore nei parametri: {name} non è un oggetto sprite valido.",
+        param_not_sprite           : "Errore nei parametri: {name} è un oggetto ma non uno sprite.",
+        duplicated_animation       : "Nome di animazione duplicato: '{animation_name}' esiste già per questo spritesheet con frame diversi.",
+        param_sprite_instance      : "Errore nei parametri: {name} non è un'istanza di sprite valida.",
+        param_negative             : "Errore nei parametri: {name} numero non valido (<0).",
+        param_not_positive         : "Errore nei parametri: {name} numero non valido (<=0).",
+        param_less_than_minus_one  : "Errore nei parametri: {name} numero non valido (<-1).",
+        param_non_empty_array      : "Errore nei parametri: {name} dovrebbe essere un array non vuoto.",
+        param_frame_numbers        : "Errore nei parametri: {name} dovrebbe contenere solo numeri di frame (>=0).",
+        param_not_atlas            : "Errore nei parametri: {name} non è caricato da un atlas (vedi PP.assets.sprite.load_atlas).",
+        no_atlas_frames            : "Nessun frame dell'atlas inizia con '{prefix}'.",
+        param_boolean              : "Errore nei parametri: {name} dovrebbe essere un booleano (true o false).",
+        animation_not_found        : "L'animazione non esiste!",
+        param_function             : "Errore nei parametri: {name} dovrebbe essere una funzione.",
+        param_text_option          : "Errore nei parametri: '{option}' non è un'opzione di stile del testo valida.",
+        param_font                 : "Errore nei parametri: {name} dovrebbe essere una stringa o un font restituito da PP.assets.text.load_web_font.",
+        param_font_style           : "Errore nei parametri: {name} dovrebbe essere \"normal\", \"bold\", \"italic\" o \"bold italic\".",
+        param_align                : "Errore nei parametri: {name} dovrebbe essere \"left\", \"center\" o \"right\".",
+        param_not_bitmap_font      : "Errore nei parametri: {name} è un oggetto ma non un font bitmap.",
+        param_text_instance        : "Errore nei parametri: {name} non è un'istanza di testo valida.",
+        param_string_or_strings    : "Errore nei parametri: {name} dovrebbe essere una stringa o un array di stringhe.",
+        param_not_audio            : "Errore nei parametri: {name} è un oggetto ma non un audio.",
+        param_sound_instance       : "Errore nei parametri: {name} non è un'istanza di suono valida.",
+        mute_before_create         : "Il gioco deve essere creato (PP.game.create) prima di silenziarlo.",
+        is_muted_before_create     : "Il gioco deve essere creato (PP.game.create) prima di controllare se è silenziato.",
+        param_not_tilemap          : "Errore nei parametri: {name} è un oggetto ma non una tilemap.",
+        param_number_csv           : "Errore nei parametri: {name} dovrebbe essere un numero per le mappe CSV.",
+        param_tilemap_instance     : "Errore nei parametri: {name} non è un'istanza di tilemap valida.",
+        tileset_not_found          : "La tilemap non contiene un tileset chiamato '{tileset_name}'.",
+        no_tilesets                : "Devi aggiungere almeno un tileset con PP.assets.tilemap.add_tileset!",
+        tile_layer_not_found       : "La tilemap non contiene un livello di tile chiamato '{layer_name}'.",
+        param_layer_instance       : "Errore nei parametri: {name} non è un'istanza di livello valida.",
+        param_array_of_numbers     : "Errore nei parametri: {name} dovrebbe essere un array di numeri.",
+        param_tile_outside_map     : "Errore nei parametri: col e row devono essere all'interno della mappa.",
+        object_layer_not_found     : "La tilemap non contiene un livello di oggetti chiamato '{layer_name}'.",
+        manifest_section           : "Errore nel manifest: '{section}' non è una sezione valida.",
+        manifest_spritesheet       : "Errore nel manifest: lo spritesheet '{asset_name}' dovrebbe essere un oggetto.",
+        manifest_atlas             : "Errore nel manifest: l'atlas '{asset_name}' dovrebbe essere un oggetto.",
+        param_object_or_string     : "Errore nei parametri: {name} dovrebbe essere un oggetto o una stringa.",
+        param_color                : "Errore nei parametri: {name} deve essere compreso tra 0x000000 e 0xFFFFFF.",
+        param_cannot_flip          : "Errore nei parametri: {name} non può essere ribaltato.",
+        param_cannot_tint          : "Errore nei parametri: {name} non può essere colorato, usa PP.shapes.set_fill per le forme.",
+        param_size_negative        : "Errore nei parametri: width e height non possono essere negativi.",
+        param_cannot_be_negative   : "Errore nei parametri: {name} non può essere negativo.",
+        param_array                : "Errore nei parametri: {name} dovrebbe essere un array.",
+        param_only_numbers         : "Errore nei parametri: {name} dovrebbe contenere solo numeri.",
+        param_polygon_points       : "Errore nei parametri: {name} dovrebbe contenere una x e una y per almeno tre vertici.",
+        param_shape_instance       : "Errore nei parametri: {name} non è un'istanza di forma valida.",
+        param_not_rectangle        : "Errore nei parametri: {name} non è un'istanza di rettangolo.",
+        param_invalid              : "Errore nei parametri: {name} non è valido.",
+        not_draggable              : "L'oggetto non è trascinabile: chiama prima PP.interactive.mouse.set_draggable.",
+        param_key                  : "Errore nei parametri: {name} non è un tasto valido (vedi PP.key_codes).",
+        param_physics_type         : "Errore nei parametri: {name} deve essere PP.physics.type.DYNAMIC o PP.physics.type.STATIC.",
+        already_has_body           : "L'istanza ha già un corpo fisico.",
+        param_no_dynamic_body      : "Errore nei parametri: {name} non ha un corpo fisico dinamico.",
+        param_no_body              : "Errore nei parametri: {name} non ha un corpo fisico.",
+        param_instances            : "Errore nei parametri: {name} dovrebbe essere un'istanza, un array di istanze o un gruppo.",
+        param_group                : "Errore nei parametri: {name} non è un gruppo valido.",
+        already_group_member       : "L'oggetto fa già parte del gruppo.",
+        not_group_member           : "L'oggetto non fa parte del gruppo.",
+        param_between_0_excluded_1 : "Errore nei parametri: {name} deve essere maggiore di 0 e non maggiore di 1.",
+        param_size_positive        : "Errore nei parametri: width e height devono essere numeri positivi.",
+        param_tween_option         : "Errore nei parametri: '{option}' non è un'opzione del tween valida.",
+        param_easing               : "Errore nei parametri: {name} non è un nome di easing valido.",
+        param_tween_properties     : "Errore nei parametri: {name} dovrebbe contenere almeno una proprietà da animare (x, y, alpha, ...).",
+        param_tween                : "Errore nei parametri: {name} non è un oggetto tween valido.",
+        param_timer                : "Errore nei parametri: {name} non è un oggetto timer valido.",
+        storage_unavailable        : "La memoria del browser non è disponibile (potrebbe essere disabilitata dalle impostazioni del browser).",
+        storage_before_create      : "Il gioco deve essere creato (PP.game.create) prima di usare la memoria.",
+        param_not_serializable     : "Errore nei parametri: {name} non può essere salvato, dovrebbe contenere solo numeri, stringhe, booleani, null, array e oggetti.",
+        storage_full               : "La memoria del browser è piena, il valore '{key}' non può essere salvato.",
+        param_image_or_sprite      : "Errore nei parametri: {name} dovrebbe essere un'immagine o uno sprite restituito da PP.assets.image.load o PP.assets.sprite.load_spritesheet.",
+        param_particle_option      : "Errore nei parametri: '{option}' non è un'opzione dell'emettitore valida.",
+        param_blend_mode           : "Errore nei parametri: {name} dovrebbe essere \"normal\", \"add\", \"multiply\" o \"screen\".",
+        param_emitter              : "Errore nei parametri: {name} non è un oggetto emettitore valido.",
+        param_integer              : "Errore nei parametri: {name} dovrebbe essere un numero intero.",
+        param_max_less_than_min    : "Errore nei parametri: max non può essere minore di min.",
+        param_recording            : "Errore nei parametri: {name} non è una registrazione valida (vedi PP.replay.stop_recording).",
+        replay_before_create       : "Il gioco deve essere creato (PP.game.create) prima di registrarlo o riprodurlo.",
+        not_recording              : "Non c'è nessuna registrazione da fermare: chiama prima PP.replay.start_recording.",
+        param_language             : "Errore nei parametri: {name} non è una lingua disponibile (vedi PP.messages.add_language).",
+        param_message_id           : "Errore nei parametri: '{message_id}' non è un identificativo di messaggio valido.",
+        assertion_failed           : "Asserzione fallita: {message}",
+        warn_file_not_loaded       : "ATTENZIONE: il file {url} non può essere caricato. Controlla il suo percorso.",
+        warn_duplicated_image      : "ATTENZIONE: stai provando a caricare più volte la stessa immagine/spritesheet ({path}). Questa richiesta di caricamento viene annullata.",
+        warn_duplicated_font       : "ATTENZIONE: stai provando a caricare più volte lo stesso font ({path}). Questa richiesta di caricamento viene annullata.",
+        warn_duplicated_audio      : "ATTENZIONE: stai provando a caricare più volte lo stesso audio ({path}). Questa richiesta di caricamento viene annullata.",
+        warn_duplicated_tilemap    : "ATTENZIONE: stai provando a caricare più volte la stessa tilemap ({path}). Questa richiesta di caricamento viene annullata.",
+        warn_corrupted_value       : "ATTENZIONE: il valore salvato \"{key}\" è corrotto. Viene restituito il valore di default.",
+        debug_clicked_instance     : "PoliPhaser debug: istanza cliccata",
+        debug_error_in             : "Errore in {function_name}:",
+        debug_error_in_parameter   : "Errore in {function_name} (parametro {parameter_name}):",
+    }
+};
+
+// Get a message in the language of the game (English by default), filling its placeholders with the values of params.
+// If the message is missing in that language, the English one is used; if message_id is not an id at all, it is
+// considered the message itself.
+const get_message = (message_id, params = {}) => {
+    let language = PP.game.config !== undefined && PP.game.config.language !== undefined ? PP.game.config.language : "en";
+    let template = messages_catalog[language][message_id];
+
+    if (template === undefined) {
+        template = messages_catalog.en[message_id];
+    }
+    if (template === undefined) {
+        template = message_id;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => params[key] !== undefined ? String(params[key]) : placeholder);
+};
+
+/**
+ * Add a new language for the error and warning messages, or change some messages of an existing one. The language
+ * can then be selected with the language field of the configuration given to PP.game.create, so this function must
+ * be called before it. The messages missing in the new language are shown in English.
+ * @function add_language
+ * @memberof PP.messages
+ * @param {string}   language  The name of the language, e.g. "es". It can be an arbitrary string.
+ * @param {object}   messages  An object containing, for each message id, the translated message (e.g. {param_number: "Error de parámetro: {name} debería ser un número."}). The list of the ids and of the English messages is returned by PP.messages.get_language("en").
+ */
+PP.messages.add_language = function(language, messages) {
+    PP.debug.assert(typeof language === "string", "param_string", {name: "language"});
+    PP.debug.assert(typeof messages === "object", "param_object", {name: "messages"});
+
+    Object.keys(messages).forEach(message_id => {
+        PP.debug.assert(messages_catalog.en[message_id] !== undefined, "param_message_id", {message_id: message_id});
+        PP.debug.assert(typeof messages[message_id] === "string", "param_string", {name: "messages." + message_id});
+    });
+
+    messages_catalog[language] = Object.assign(messages_catalog[language] || {}, messages);
+}
+
+/**
+ * Get all the messages of a language, e.g. to start a new translation from the English one.
+ * @function get_language
+ * @memberof PP.messages
+ * @param {string}   language  The name of the language, e.g. "en" or "it".
+ * @return {object} An object containing, for each message id, the message in the given language (or in English, if it is not translated).
+ */
+PP.messages.get_language = function(language) {
+    PP.debug.assert(messages_catalog[language] !== undefined, "param_language", {name: "language"});
+
+    return Object.assign({}, messages_catalog.en, messages_catalog[language]);
+}
+
 /************* GAME FUNCTIONS *************/
 
 /**
@@ -94,16 +620,27 @@ PP.debug = {
  * @param {number} config.canvas_height    The height of the canvas where the game will be rendered.
  * @param {string} config.canvas_id        The id of the HTML element containing the canvas.
  * @param {number} config.background_color Default background color used when no background is drawn, in RGB HEX format (for example 0x000000).
+ * @param {number} [config.gravity_x]      The horizontal gravity of the physics world, in pixels per second squared (default 0).
+ * @param {number} [config.gravity_y]      The vertical gravity of the physics world, in pixels per second squared (default 0).
+ * @param {string} [config.game_name]      A unique name of the game, used to keep its saved data (see PP.storage) separated from other games (default is config.canvas_id).
+ * @param {string} [config.language]       The language of the error and warning messages: "en" (English, default), "it" (Italian) or one added with PP.messages.add_language.
+ * @param {boolean} [config.debug]       If true, the game shows the FPS, the scene name, the bounds (green) and pivots (magenta) of the instances and the physics bodies, a click on an instance logs its properties in the console and errors are shown on the canvas (default false).
  * @return A game object. The user should not directly manipulate it, but pass it to other functions.
  */
 PP.game.create = function (config) {
-    PP.debug.assert(typeof config.canvas_width  === "number", "Parameter error: config.canvas_width is not a number.");
-    PP.debug.assert(typeof config.canvas_height === "number", "Parameter error: config.canvas_height is not a number.");
-    PP.debug.assert(typeof config.canvas_id     === "string", "Parameter error: config.canvas_id is not a string.");
+    PP.debug.assert(typeof config.canvas_width  === "number", "param_not_number", {name: "config.canvas_width"});
+    PP.debug.assert(typeof config.canvas_height === "number", "param_not_number", {name: "config.canvas_height"});
+    PP.debug.assert(typeof config.canvas_id     === "string", "param_not_string", {name: "config.canvas_id"});
+
+    PP.debug.assert(config.canvas_width > 0, "param_not_positive_number", {name: "config.canvas_width"});
 
-    PP.debug.assert(config.canvas_width > 0, "Parameter error: config.canvas_width is not a positive number.");
+    PP.debug.assert(config.gravity_x === undefined || typeof config.gravity_x === "number", "param_not_number", {name: "config.gravity_x"});
+    PP.debug.assert(config.gravity_y === undefined || typeof config.gravity_y === "number", "param_not_number", {name: "config.gravity_y"});
+    PP.debug.assert(config.game_name === undefined || typeof config.game_name === "string", "param_not_string", {name: "config.game_name"});
+    PP.debug.assert(config.debug     === undefined || typeof config.debug     === "boolean", "param_not_boolean", {name: "config.debug"});
+    PP.debug.assert(config.language  === undefined || messages_catalog[config.language] !== undefined, "param_language", {name: "config.language"});
     
-    PP.debug.assert(PP.scenes.list, "You need to add at least one scene!");
+    PP.debug.assert(PP.scenes.list, "no_scenes");
 
     PP.game.config = config;    // Save config for future use
 
@@ -113,12 +650,28 @@ PP.game.create = function (config) {
         width: config.canvas_width,
         height: config.canvas_height,
         backgroundColor: config.background_color,
-        scene: PP.scenes.list,
         pixelArt: true,
-        parent: config.canvas_id
+        parent: config.canvas_id,
+        physics: {
+            default: "arcade",
+            arcade: {
+                gravity: { x: config.gravity_x || 0, y: config.gravity_y || 0 },
+                debug: config.debug === true
+            }
+        }
     };
+
+    if (config.debug === true) {
+        phaser_config.callbacks = { postBoot: enable_debug };
+    }
     
     PP.game.ph_obj = new Phaser.Game(phaser_config);
+
+    // Phaser starts by itself the first scene given in the config, so the scenes are added without starting
+    // them: only PP.game.start chooses the first scene
+    PP.scenes.list.forEach(scene => {
+        PP.game.ph_obj.scene.add(scene.sys.settings.key, scene, false);
+    });
 }
 
 /**
@@ -128,31 +681,33 @@ PP.game.create = function (config) {
  * @param {string} scene_name The name of initial scene where to start the game.
  */
 PP.game.start = function (scene_name) {
-    PP.debug.assert(typeof scene_name === "string", "Parameter error: scene_name is not a string.");
+    PP.debug.assert(typeof scene_name === "string", "param_not_string", {name: "scene_name"});
 
-    PP.debug.assert(PP.scenes.list_names.includes(scene_name), "Trying to start a non-existent scene: " + scene_name);
+    PP.debug.assert(PP.scenes.list_names.includes(scene_name), "start_missing_scene", {scene_name: scene_name});
 
-    PP.game.ph_obj.scene.start(scene_name);
+    PP.scenes.start(scene_name);
 }
 
 /**
  * Add a new scene to the game. This function must be called before PP.game.start is executed.
+ * The data passed to PP.scenes.start, PP.scenes.restart or PP.scenes.start_overlay is received by the
+ * preload and create functions as second parameter.
  * @function add
  * @memberof PP.scenes
  * @param {string}   scene_name       A unique name for the scene to be created. It can be an arbitrary string.
  * @param {function} preload_function The function executed at the beginning, when the scene is loaded. It should contain the loading of the assets (images, sounds, etc.) and initialization stuff.
  * @param {function} create_function  The function executed at the beginning, when the scene is created.
  * @param {function} update_function  The function executed at each frame.
- * @param {function} destroy_function The function executed when the scene is destroyed.
+ * @param {function} destroy_function The function executed when the scene is stopped, e.g. when another scene is started.
  */
 PP.scenes.add = function(scene_name, preload_function, create_function, update_function, destroy_function) {
 
-    PP.debug.assert(typeof scene_name === "string", "Parameter error: scene_name is not a string.");
+    PP.debug.assert(typeof scene_name === "string", "param_not_string", {name: "scene_name"});
 
-    PP.debug.assert(typeof preload_function === "function", "Parameter error: load_function is not a function.");
-    PP.debug.assert(typeof create_function  === "function", "Parameter error: create_function is not a function.");
-    PP.debug.assert(typeof update_function  === "function", "Parameter error: update_function is not a function.");
-    PP.debug.assert(typeof destroy_function === "function", "Parameter error: destroy_function is not a function.");
+    PP.debug.assert(typeof preload_function === "function", "param_not_function", {name: "load_function"});
+    PP.debug.assert(typeof create_function  === "function", "param_not_function", {name: "create_function"});
+    PP.debug.assert(typeof update_function  === "function", "param_not_function", {name: "update_function"});
+    PP.debug.assert(typeof destroy_function === "function", "param_not_function", {name: "destroy_function"});
 
     if (PP.scenes.list === undefined) {
         PP.scenes.list = [];
@@ -160,84 +715,162 @@ PP.scenes.add = function(scene_name, preload_function, create_function, update_f
     }
 
     // Check that the name of the scene is not duplicated
-    PP.debug.assert(!PP.scenes.list_names.includes(scene_name), "Duplicated scene name: " + scene_name);
+    PP.debug.assert(!PP.scenes.list_names.includes(scene_name), "duplicated_scene", {scene_name: scene_name});
 
     // If not, add the name to the list of names
     PP.scenes.list_names.push(scene_name);
 
     // Now it's time to create the Phaser scene object
     let scene = new Phaser.Scene(scene_name);
-    scene.preload = ()=>{preload_function(scene);};
-    scene.create  = ()=>{create_function(scene);};
-    scene.update  = ()=>{update_function(scene);};
-    scene.destroy = ()=>{destroy_function(scene);};
+    scene.init    = ()=>{
+        // Phaser emits the shutdown event every time the scene is stopped, so we register it at each start
+        scene.events.once("shutdown", ()=>{call_reporting_errors(destroy_function, scene);});
+        // The loader keeps its listeners when the scene is restarted, so we remove the ones of the previous run
+        scene.load.removeAllListeners();
+        // Phaser silently ignores the files that cannot be loaded
+        scene.load.on("loaderror", (file)=>{
+            console.warn(get_message("warn_file_not_loaded", {url: file.url}));
+        });
+        // A recording started before the game starts from the first main scene
+        if (replay_state.recording !== null && replay_state.recording.scene === null && scene_name === PP.scenes.main_scene_name) {
+            replay_state.recording.scene = scene_name;
+            replay_state.recording.data  = JSON.parse(JSON.stringify(scene.sys.settings.data || {}));
+        }
+    };
+    scene.preload = ()=>{call_reporting_errors(preload_function, scene, scene.sys.settings.data);};
+    scene.create  = ()=>{
+        call_reporting_errors(create_function, scene, scene.sys.settings.data);
+        if (debug_enabled()) {
+            show_debug_overlay(scene);
+        }
+    };
+    scene.update  = ()=>{
+        replay_frame(scene);
+        update_function(scene);
+        if (debug_enabled()) {
+            update_debug_overlay(scene);
+        }
+    };
 
     PP.scenes.list.push(scene);
 
 }
 
 /**
- * Stop the current scene (if any) and start a new one. This function is also used to start the whole game.
+ * Stop the current scene (if any) and its overlays, and start a new one. This function is also used to start the whole game.
  * @function start
  * @memberof PP.scenes
- * @param {string}   scene_name       A unique name for the scene to be created. It can be an arbitrary string.
+ * @param {string}   scene_name       The name of the scene to start.
+ * @param {object}   [data]           An object passed to the preload and create functions of the new scene (e.g. the current score).
  */
-PP.scenes.start = function(scene_name) {
-    PP.debug.assert(typeof scene_name === "string", "Parameter error: scene_name is not a string.");
+PP.scenes.start = function(scene_name, data = {}) {
+    PP.debug.assert(typeof scene_name === "string", "param_not_string", {name: "scene_name"});
+    PP.debug.assert(typeof data === "object", "param_object", {name: "data"});
+
+    PP.debug.assert(PP.scenes.list_names.includes(scene_name), "scene_not_found", {scene_name: scene_name});
+
+    PP.scenes.stop_all_overlays();
 
-    PP.debug.assert(PP.scenes.list_names.includes(scene_name), "No scene named '"+ scene_name+"' exist.");
+    // Phaser does not stop the previous scene by itself
+    if (PP.scenes.main_scene_name !== undefined && PP.scenes.main_scene_name !== scene_name) {
+        PP.game.ph_obj.scene.stop(PP.scenes.main_scene_name);
+    }
+
+    PP.scenes.main_scene_name = scene_name;
 
-    PP.game.current_main_scene_name = scene_name; // TODO: should we also save the scene object?
+    // If the scene is already running, Phaser restarts it
+    PP.game.ph_obj.scene.start(scene_name, data);
+}
 
-    // Let's start the new scene
-    // TODO: Check whether Phaser actually stop the previous scene.
-    PP.game.ph_obj.scene.start(scene_name);
+/**
+ * Restart the current main scene, stopping its overlays (e.g. after a game over).
+ * @function restart
+ * @memberof PP.scenes
+ * @param {object}   [data]           An object passed to the preload and create functions of the restarted scene.
+ */
+PP.scenes.restart = function(data = {}) {
+    PP.debug.assert(PP.scenes.main_scene_name, "restart_without_scene");
 
+    PP.scenes.start(PP.scenes.main_scene_name, data);
 }
 
 /**
- * Stop the current scene.
+ * Stop the current scene and its overlays.
  * @function stop
  * @memberof PP.scenes
  */
 PP.scenes.stop = function() {
-    PP.debug.assert(PP.game.current_scene_name, "Well, you should start a scene before stopping it!");
-    PP.game.ph_obj.scene.stop();
+    PP.debug.assert(PP.scenes.main_scene_name, "stop_without_scene");
+
+    PP.scenes.stop_all_overlays();
+
+    PP.game.ph_obj.scene.stop(PP.scenes.main_scene_name);
+    PP.scenes.main_scene_name = undefined;
 }
 
 /**
- * Start a new one as overlay of the current one. This function pauses (but not stop) the current scene.
- * Multiple overlays are not allowed, only one overlay at a time can be started.
+ * Start a new scene as overlay of the current one (e.g. a pause menu or an inventory). This function pauses
+ * (but not stop) the current scene, which is still drawn below the overlay. Overlays can be stacked: starting an
+ * overlay from an overlay pauses the latter, and PP.scenes.stop_overlay resumes it.
  * @function start_overlay
  * @memberof PP.scenes
- * @param {string}   scene_name       A unique name for the scene to be created. It can be an arbitrary string.
+ * @param {string}   scene_name       The name of the scene to start as overlay.
+ * @param {object}   [data]           An object passed to the preload and create functions of the overlay scene.
  */
-PP.scenes.start_overlay = function(scene_name) {
-    PP.debug.assert(typeof scene_name === "string", "Parameter error: scene_name is not a string.");
-    PP.debug.assert(PP.scenes.list_names.includes(scene_name), "No scene named '"+ scene_name+"' exist.");
-    PP.debug.assert(PP.game.current_scene_name, "A non-overlay scene must be previously started.");
-    PP.debug.assert(PP.scenes.in_overlay_mode, "Multiple overlays are not allowed, you must stop the previous one.");
-
-    PP.scenes.in_overlay_mode = true;
+PP.scenes.start_overlay = function(scene_name, data = {}) {
+    PP.debug.assert(typeof scene_name === "string", "param_not_string", {name: "scene_name"});
+    PP.debug.assert(typeof data === "object", "param_object", {name: "data"});
+    PP.debug.assert(PP.scenes.list_names.includes(scene_name), "scene_not_found", {scene_name: scene_name});
+    PP.debug.assert(PP.scenes.main_scene_name, "overlay_without_scene");
+    PP.debug.assert(scene_name !== PP.scenes.main_scene_name && !PP.scenes.overlay_stack.includes(scene_name),
+                    "scene_already_running", {scene_name: scene_name});
 
-    // Let's launch the new scene
-    PP.game.ph_obj.scene.launch(scene_name);
+    // Pause the top-most scene and launch the new one over it
+    PP.game.ph_obj.scene.pause(PP.scenes.get_current());
 
+    PP.scenes.overlay_stack.push(scene_name);
+    PP.game.ph_obj.scene.launch(scene_name, data);
 }
 
 /**
- * Remove the overlay and resume the main scene. It must be called within overlay scene functions.
+ * Remove the top-most overlay and resume the scene below it.
  * @function stop_overlay
  * @memberof PP.scenes
  */
 PP.scenes.stop_overlay = function() {
-    PP.debug.assert(PP.game.current_scene_name, "This should not occur: the main scene name does not exist.");
+    PP.debug.assert(PP.scenes.overlay_stack.length > 0, "no_overlay");
+
+    PP.game.ph_obj.scene.stop(PP.scenes.overlay_stack.pop());
+    PP.game.ph_obj.scene.resume(PP.scenes.get_current());
+}
+
+/**
+ * Remove all the overlays and resume the main scene. Nothing happens if there are no overlays.
+ * @function stop_all_overlays
+ * @memberof PP.scenes
+ */
+PP.scenes.stop_all_overlays = function() {
+    if (PP.scenes.overlay_stack.length === 0) {
+        return;
+    }
 
-    PP.scenes.in_overlay_mode = false;
+    while (PP.scenes.overlay_stack.length > 0) {
+        PP.game.ph_obj.scene.stop(PP.scenes.overlay_stack.pop());
+    }
+    PP.game.ph_obj.scene.resume(PP.scenes.main_scene_name);
+}
 
-    // Let's launch the new scene
-    PP.game.ph_obj.scene.resume(PP.game.current_scene_name);
-    PP.game.ph_obj.scene.stop();
+/**
+ * Get the name of the scene currently receiving the updates, i.e. the top-most overlay or, if there are no overlays, the main scene.
+ * @function get_current
+ * @memberof PP.scenes
+ * @return {string} The name of the current scene, or undefined if no scene is running.
+ */
+PP.scenes.get_current = function() {
+    if (PP.scenes.overlay_stack.length > 0) {
+        return PP.scenes.overlay_stack[PP.scenes.overlay_stack.length - 1];
+    }
+    return PP.scenes.main_scene_name;
 }
 
 
@@ -252,13 +885,13 @@ PP.scenes.stop_overlay = function() {
  * @return An image object representing the image file itself.
  */
 PP.assets.image.load = function(scene, image_path) {
-    PP.debug.assert(typeof scene      === "object", "Parameter error: scene should be a scene object.");
-    PP.debug.assert(typeof image_path === "string", "Parameter error: image_path should be a string.");
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof image_path === "string", "param_string", {name: "image_path"});
 
     let url_hash = cyrb53(image_path);  // This is used as ID
 
     if(PP.assets.list_images_id.includes(url_hash)) {
-        console.warn('WARNING: you are trying to load multiple times the same image/spritesheet ('+image_path+'). Aborting this load request.');
+        console.warn(get_message("warn_duplicated_image", {path: image_path}));
         return {id: url_hash, type: "image"};
     }
 
@@ -282,17 +915,17 @@ PP.assets.image.load = function(scene, image_path) {
  * @return An image object representing the specific image added to the scene.
  */
 PP.assets.image.add = function(scene, image, x, y, pivot_x, pivot_y) {
-    PP.debug.assert(typeof scene === "object", "Parameter error: scene should be a scene object.");
-    PP.debug.assert(typeof image === "object", "Parameter error: image should be an object.");
-    PP.debug.assert(typeof image.id === "string", "Parameter error: image is not a valid image object.");
-    PP.debug.assert(image.type === "image", "Parameter error: image is an object but not an image.");
-    PP.debug.assert(typeof x === "number", "Parameter error: x should be a number.");
-    PP.debug.assert(typeof y === "number", "Parameter error: y should be a number.");
-    PP.debug.assert(typeof pivot_x === "number", "Parameter error: pivot_x should be a number.");
-    PP.debug.assert(typeof pivot_y === "number", "Parameter error: pivot_y should be a number.");
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof image === "object", "param_object", {name: "image"});
+    PP.debug.assert(typeof image.id === "string", "param_image_object", {name: "image"});
+    PP.debug.assert(image.type === "image", "param_not_image", {name: "image"});
+    PP.debug.assert(typeof x === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof pivot_x === "number", "param_number", {name: "pivot_x"});
+    PP.debug.assert(typeof pivot_y === "number", "param_number", {name: "pivot_y"});
 
-    PP.debug.assert(pivot_x >= 0 && pivot_x <= 1, "Parameter error: pivot_x must be between 0 and 1.");
-    PP.debug.assert(pivot_y >= 0 && pivot_y <= 1, "Parameter error: pivot_y must be between 0 and 1.");
+    PP.debug.assert(pivot_x >= 0 && pivot_x <= 1, "param_between_0_1", {name: "pivot_x"});
+    PP.debug.assert(pivot_y >= 0 && pivot_y <= 1, "param_between_0_1", {name: "pivot_y"});
 
 
     let temp_image = scene.add.image(x, y, image.id);
@@ -311,17 +944,17 @@ PP.assets.image.add = function(scene, image, x, y, pivot_x, pivot_y) {
  * @return An object representing the spritesheet image file.
  */
 PP.assets.sprite.load_spritesheet = function(scene, image_path, frame_width, frame_height, start_frame, end_frame) {
-    PP.debug.assert(typeof scene        === "object", "Parameter error: scene should be a scene object.");
-    PP.debug.assert(typeof image_path   === "string", "Parameter error: image_path should be a string.");
-    PP.debug.assert(typeof frame_width  === "number", "Parameter error: frame_width should be a number.");
-    PP.debug.assert(typeof frame_height === "number", "Parameter error: frame_height should be a number.");
-    PP.debug.assert(typeof start_frame  === "number", "Parameter error: start_frame should be a number.");
-    PP.debug.assert(typeof end_frame    === "number", "Parameter error: end_frame should be a number.");
+    PP.debug.assert(typeof scene        === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof image_path   === "string", "param_string", {name: "image_path"});
+    PP.debug.assert(typeof frame_width  === "number", "param_number", {name: "frame_width"});
+    PP.debug.assert(typeof frame_height === "number", "param_number", {name: "frame_height"});
+    PP.debug.assert(typeof start_frame  === "number", "param_number", {name: "start_frame"});
+    PP.debug.assert(typeof end_frame    === "number", "param_number", {name: "end_frame"});
 
     let url_hash = cyrb53(image_path);  // This is used as ID
 
     if(PP.assets.list_images_id.includes(url_hash)) {
-        console.warn('WARNING: you are trying to load multiple times the same image/spritesheet ('+image_path+'). Aborting this load request.');
+        console.warn(get_message("warn_duplicated_image", {path: image_path}));
         return {id: url_hash, type: "sprite"};
     }
 
@@ -331,6 +964,34 @@ PP.assets.sprite.load_spritesheet = function(scene, image_path, frame_width, fra
     return {id: url_hash, type: "sprite"};
 }
 
+/**
+ * Load a new texture atlas, i.e. an image containing frames of different sizes packed together, described by a JSON
+ * file (hash or array format, as exported by TexturePacker). The frames are identified by their names.
+ * @function load_atlas
+ * @memberof PP.assets.sprite
+ * @param {object}   scene       The scene object where the atlas will be used.
+ * @param {string}   image_path  A path of the image containing the atlas to load. It can be relative to the current page or a full URL.
+ * @param {string}   json_path   A path of the JSON file describing the frames. It can be relative to the current page or a full URL.
+ * @return An object representing the atlas image file, to be used as a spritesheet in PP.assets.sprite.add.
+ */
+PP.assets.sprite.load_atlas = function(scene, image_path, json_path) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof image_path === "string", "param_string", {name: "image_path"});
+    PP.debug.assert(typeof json_path  === "string", "param_string", {name: "json_path"});
+
+    let url_hash = cyrb53(image_path);  // This is used as ID
+
+    if(PP.assets.list_images_id.includes(url_hash)) {
+        console.warn(get_message("warn_duplicated_image", {path: image_path}));
+        return {id: url_hash, type: "sprite", atlas: true};
+    }
+
+    PP.assets.list_images_id.push(url_hash);
+
+    scene.load.atlas(url_hash, image_path, json_path);
+    return {id: url_hash, type: "sprite", atlas: true};
+}
+
 /**
  * Add and position a new sprite into the scene.
  * @function add
@@ -344,82 +1005,194 @@ PP.assets.sprite.load_spritesheet = function(scene, image_path, frame_width, fra
  * @return An sprite instance object representing the specific sprite added to the scene.
  */
 PP.assets.sprite.add = function(scene, sprite, x, y, pivot_x, pivot_y) {
-    PP.debug.assert(typeof scene === "object", "Parameter error: scene should be a scene object.");
-    PP.debug.assert(typeof sprite === "object", "Parameter error: sprite should be an object.");
-    PP.debug.assert(typeof sprite.id === "string", "Parameter error: sprite is not a valid sprite object.");
-    PP.debug.assert(sprite.type === "sprite", "Parameter error: sprite is an object but not a sprite.");
-    PP.debug.assert(typeof x === "number", "Parameter error: x should be a number.");
-    PP.debug.assert(typeof y === "number", "Parameter error: y should be a number.");
-    PP.debug.assert(typeof pivot_x === "number", "Parameter error: pivot_x should be a number.");
-    PP.debug.assert(typeof pivot_y === "number", "Parameter error: pivot_y should be a number.");
-
-    let temp_image = scene.add.sprite(x, y, sprite.id);
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof sprite === "object", "param_object", {name: "sprite"});
+    PP.debug.assert(typeof sprite.id === "string", "param_sprite_object", {name: "sprite"});
+    PP.debug.assert(sprite.type === "sprite", "param_not_sprite", {name: "sprite"});
+    PP.debug.assert(typeof x === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof pivot_x === "number", "param_number", {name: "pivot_x"});
+    PP.debug.assert(typeof pivot_y === "number", "param_number", {name: "pivot_y"});
+
+    // Atlases have no numbered frames, so we start from the first named one instead of the whole image
+    let first_frame = sprite.atlas ? scene.textures.get(sprite.id).getFrameNames()[0] : undefined;
+
+    let temp_image = scene.add.sprite(x, y, sprite.id, first_frame);
     temp_image.setOrigin(pivot_x,pivot_y);
 
     return {ph_obj: temp_image, orig_sprite : sprite, list_of_animations : []};
 }
 
+// Check that sprite_instance is a sprite instance returned by PP.assets.sprite.add, not destroyed yet.
+const assert_sprite_instance = (sprite_instance) => {
+    PP.debug.assert(typeof sprite_instance             === "object", "param_object", {name: "sprite"});
+    PP.debug.assert(typeof sprite_instance.ph_obj      === "object", "param_sprite_instance", {name: "sprite"});
+    PP.debug.assert(typeof sprite_instance.orig_sprite === "object", "param_sprite_instance", {name: "sprite"});
+    PP.debug.assert(!sprite_instance.destroyed && sprite_instance.ph_obj.scene, "destroyed_object");
+};
+
+// Animations are created in the global animation manager with a key made of the spritesheet id and of the
+// animation name, so that all the instances of the same spritesheet share them.
+const animation_key = (sprite_instance, animation_name) => {
+    return sprite_instance.orig_sprite.id + ":" + animation_name;
+};
+
+// The opposite of animation_key: get the animation name from the key of a Phaser animation.
+const animation_name_from_key = (sprite_instance, key) => {
+    return key.substring(sprite_instance.orig_sprite.id.length + 1);
+};
+
+// Create an animation from a list of frames ({key, frame} objects), or reuse it if an instance of the same
+// spritesheet already created an identical one.
+const create_animation = (sprite_instance, animation_name, frames, frame_rate, repeat) => {
+    let anims = sprite_instance.ph_obj.scene.anims;
+    let key   = animation_key(sprite_instance, animation_name);
+
+    if (anims.exists(key)) {
+        let existing = anims.get(key);
+        let same     = existing.frameRate === frame_rate && existing.repeat === repeat &&
+                       existing.frames.length === frames.length &&
+                       existing.frames.every((f, i) => f.textureFrame === frames[i].frame);
+        PP.debug.assert(same, "duplicated_animation", {animation_name: animation_name});
+    } else {
+        anims.create({
+            key: key,
+            frames: frames,
+            frameRate: frame_rate,
+            repeat: repeat
+        });
+    }
+
+    if (!sprite_instance.list_of_animations.includes(animation_name)) {
+        sprite_instance.list_of_animations.push(animation_name);
+    }
+};
+
 /**
- * Add a new animation to a given sprite.
+ * Add a new animation to a given sprite. The animation is shared by all the instances of the same spritesheet:
+ * adding it again (with the same frames) on another instance is allowed, but not necessary.
  * @function animation_add
  * @memberof PP.assets.sprite
  * @param {object}   sprite_instance  The object of a sprite instance as returned by PP.assets.sprite.add
- * @param {string}   animation_name   A unique name (in the current sprite instance) for this animation.
+ * @param {string}   animation_name   A unique name (in the current spritesheet) for this animation.
  * @param {number}   frame_start_nr   The starting frame number (counting from top-left, horizontal first) of the spritesheet.
  * @param {number}   frame_end_nr     The ending frame number (counting from top-left, horizontal first) of the spritesheet.
- * @param {number}   frame_rate       The speed of the frame rate of the spritesheet. TODO: check measurement unit.
+ * @param {number}   frame_rate       The number of frames per second.
  * @param {number}   repeat           The number of time the animation should repeat. Use -1 for infinite.
  */
 
 PP.assets.sprite.animation_add = function(sprite_instance, animation_name, frame_start_nr, frame_end_nr, frame_rate, repeat) {
-    PP.debug.assert(typeof sprite_instance             === "object", "Parameter error: sprite should be an object.");
-    PP.debug.assert(typeof sprite_instance.ph_obj      === "object", "Parameter error: sprite is not a valid sprite instance.");
-    PP.debug.assert(typeof sprite_instance.orig_sprite === "object", "Parameter error: sprite is not a valid sprite instance.");
+    assert_sprite_instance(sprite_instance);
 
-    PP.debug.assert(typeof frame_start_nr === "number", "Parameter error: frame_start_nr should be a number.");
-    PP.debug.assert(typeof frame_end_nr   === "number", "Parameter error: frame_end_nr should be a number.");
-    PP.debug.assert(typeof frame_rate     === "number", "Parameter error: frame_rate should be a number.");
-    PP.debug.assert(typeof repeat         === "number", "Parameter error: repeat should be a number.");
+    PP.debug.assert(typeof frame_start_nr === "number", "param_number", {name: "frame_start_nr"});
+    PP.debug.assert(typeof frame_end_nr   === "number", "param_number", {name: "frame_end_nr"});
+    PP.debug.assert(typeof frame_rate     === "number", "param_number", {name: "frame_rate"});
+    PP.debug.assert(typeof repeat         === "number", "param_number", {name: "repeat"});
 
-    PP.debug.assert(typeof animation_name === "string", "Parameter error: animation_name is not a string.");
-    PP.debug.assert(!sprite_instance.list_of_animations.includes(animation_name), "Duplicated animation name!");
+    PP.debug.assert(typeof animation_name === "string", "param_not_string", {name: "animation_name"});
 
 
-    PP.debug.assert(frame_start_nr >= 0, "Parameter error: frame_start_nr invalid number (<0).");
-    PP.debug.assert(frame_end_nr >= 0, "Parameter error: frame_end_nr invalid number (<0).");
-    PP.debug.assert(frame_rate > 0, "Parameter error: frame_rate invalid number (<=0).");
-    PP.debug.assert(repeat >= -1, "Parameter error: repeat invalid number (<-1).");
+    PP.debug.assert(frame_start_nr >= 0, "param_negative", {name: "frame_start_nr"});
+    PP.debug.assert(frame_end_nr >= 0, "param_negative", {name: "frame_end_nr"});
+    PP.debug.assert(frame_rate > 0, "param_not_positive", {name: "frame_rate"});
+    PP.debug.assert(repeat >= -1, "param_less_than_minus_one", {name: "repeat"});
 
-    sprite_instance.ph_obj.anims.create({
-        key: animation_name,
-        frames: sprite_instance.ph_obj.anims.generateFrameNumbers(sprite_instance.orig_sprite.id, {
-            start: frame_start_nr,
-            end: frame_end_nr,
-        }),
-        frameRate: frame_rate,
-        repeat: repeat
+    let frames = sprite_instance.ph_obj.anims.generateFrameNumbers(sprite_instance.orig_sprite.id, {
+        start: frame_start_nr,
+        end: frame_end_nr,
     });
 
-    sprite_instance.list_of_animations.push(animation_name);
+    create_animation(sprite_instance, animation_name, frames, frame_rate, repeat);
+}
+
+/**
+ * Add a new animation to a given sprite, made of a list of frames in any order (e.g. [0, 3, 3, 1]).
+ * As for PP.assets.sprite.animation_add, the animation is shared by all the instances of the same spritesheet.
+ * @function animation_add_frames
+ * @memberof PP.assets.sprite
+ * @param {object}   sprite_instance  The object of a sprite instance as returned by PP.assets.sprite.add
+ * @param {string}   animation_name   A unique name (in the current spritesheet) for this animation.
+ * @param {number[]} frame_list       The list of the frame numbers (counting from top-left, horizontal first) of the spritesheet.
+ * @param {number}   frame_rate       The number of frames per second.
+ * @param {number}   repeat           The number of time the animation should repeat. Use -1 for infinite.
+ */
+PP.assets.sprite.animation_add_frames = function(sprite_instance, animation_name, frame_list, frame_rate, repeat) {
+    assert_sprite_instance(sprite_instance);
+
+    PP.debug.assert(Array.isArray(frame_list) && frame_list.length > 0, "param_non_empty_array", {name: "frame_list"});
+    PP.debug.assert(frame_list.every(f => typeof f === "number" && f >= 0), "param_frame_numbers", {name: "frame_list"});
+    PP.debug.assert(typeof frame_rate === "number", "param_number", {name: "frame_rate"});
+    PP.debug.assert(typeof repeat     === "number", "param_number", {name: "repeat"});
+
+    PP.debug.assert(typeof animation_name === "string", "param_not_string", {name: "animation_name"});
+
+    PP.debug.assert(frame_rate > 0, "param_not_positive", {name: "frame_rate"});
+    PP.debug.assert(repeat >= -1, "param_less_than_minus_one", {name: "repeat"});
+
+    let frames = frame_list.map(f => ({key: sprite_instance.orig_sprite.id, frame: f}));
+
+    create_animation(sprite_instance, animation_name, frames, frame_rate, repeat);
+}
+
+/**
+ * Add a new animation to a sprite loaded from a texture atlas, using all the frames whose name starts with
+ * the given prefix (e.g. "walk_" selects "walk_01", "walk_02", ...). Frames are sorted by name.
+ * As for PP.assets.sprite.animation_add, the animation is shared by all the instances of the same atlas.
+ * @function animation_add_by_prefix
+ * @memberof PP.assets.sprite
+ * @param {object}   sprite_instance  The object of a sprite instance as returned by PP.assets.sprite.add, using an atlas.
+ * @param {string}   animation_name   A unique name (in the current atlas) for this animation.
+ * @param {string}   prefix           The beginning of the names of the frames of the animation.
+ * @param {number}   frame_rate       The number of frames per second.
+ * @param {number}   repeat           The number of time the animation should repeat. Use -1 for infinite.
+ */
+PP.assets.sprite.animation_add_by_prefix = function(sprite_instance, animation_name, prefix, frame_rate, repeat) {
+    assert_sprite_instance(sprite_instance);
+    PP.debug.assert(sprite_instance.orig_sprite.atlas, "param_not_atlas", {name: "sprite"});
+
+    PP.debug.assert(typeof prefix     === "string", "param_string", {name: "prefix"});
+    PP.debug.assert(typeof frame_rate === "number", "param_number", {name: "frame_rate"});
+    PP.debug.assert(typeof repeat     === "number", "param_number", {name: "repeat"});
+
+    PP.debug.assert(typeof animation_name === "string", "param_not_string", {name: "animation_name"});
+
+    PP.debug.assert(frame_rate > 0, "param_not_positive", {name: "frame_rate"});
+    PP.debug.assert(repeat >= -1, "param_less_than_minus_one", {name: "repeat"});
+
+    let frame_names = sprite_instance.ph_obj.scene.textures.get(sprite_instance.orig_sprite.id).getFrameNames()
+                        .filter(name => name.startsWith(prefix))
+                        .sort((a, b) => a.localeCompare(b, undefined, {numeric: true}));
+
+    PP.debug.assert(frame_names.length > 0, "no_atlas_frames", {prefix: prefix});
+
+    let frames = frame_names.map(name => ({key: sprite_instance.orig_sprite.id, frame: name}));
+
+    create_animation(sprite_instance, animation_name, frames, frame_rate, repeat);
 }
 
 /**
  * Play the requested animation of the sprite instance passed as parameter. The animation must have been
- * previously added via PP.assets.sprite.animation_add
- * @function animation_splay
+ * previously added via PP.assets.sprite.animation_add (or the other animation_add_* functions)
+ * @function animation_play
  * @memberof PP.assets.sprite
  * @param {object}           sprite_instance      The object of the sprite instance returned by PP.assets.sprite.add.
  * @param {string}           animation_name       The name of the animation.
+ * @param {boolean}          [ignore_if_playing]  If true and the animation is already playing, it continues instead of restarting. Useful in the update function. Default is false.
+ * @param {boolean}          [reverse]            If true, the animation is played from the last frame to the first one. Default is false.
  */
-PP.assets.sprite.animation_play = function(sprite_instance, animation_name) {
-    PP.debug.assert(typeof sprite_instance             === "object", "Parameter error: sprite should be an object.");
-    PP.debug.assert(typeof sprite_instance.ph_obj      === "object", "Parameter error: sprite is not a valid sprite instance.");
-    PP.debug.assert(typeof sprite_instance.orig_sprite === "object", "Parameter error: sprite is not a valid sprite instance.");
+PP.assets.sprite.animation_play = function(sprite_instance, animation_name, ignore_if_playing = false, reverse = false) {
+    assert_sprite_instance(sprite_instance);
 
-    PP.debug.assert(typeof animation_name === "string", "Parameter error: animation_name is not a string.");
-    PP.debug.assert(sprite_instance.list_of_animations.includes(animation_name), "Animation does not exist!");
+    PP.debug.assert(typeof animation_name === "string", "param_not_string", {name: "animation_name"});
+    PP.debug.assert(typeof ignore_if_playing === "boolean", "param_boolean", {name: "ignore_if_playing"});
+    PP.debug.assert(typeof reverse === "boolean", "param_boolean", {name: "reverse"});
+    PP.debug.assert(sprite_instance.ph_obj.scene.anims.exists(animation_key(sprite_instance, animation_name)), "animation_not_found");
 
-    sprite_instance.ph_obj.anims.play(animation_name);
+    if (reverse) {
+        sprite_instance.ph_obj.anims.playReverse(animation_key(sprite_instance, animation_name), ignore_if_playing);
+    } else {
+        sprite_instance.ph_obj.anims.play(animation_key(sprite_instance, animation_name), ignore_if_playing);
+    }
 
 }
 
@@ -430,29 +1203,3038 @@ PP.assets.sprite.animation_play = function(sprite_instance, animation_name) {
  * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
  */
 PP.assets.sprite.animation_stop = function(sprite_instance) {
+    assert_sprite_instance(sprite_instance);
+
     sprite_instance.ph_obj.anims.stop();
 }
 
+/**
+ * Pause the current animation of the sprite instance passed as parameter, keeping the current frame.
+ * @function animation_pause
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
+ */
+PP.assets.sprite.animation_pause = function(sprite_instance) {
+    assert_sprite_instance(sprite_instance);
+
+    sprite_instance.ph_obj.anims.pause();
+}
 
-/************* INTERACTIVE *************/
 /**
- * Add a new interaction with an object
- * @function add
- * @memberof PP.interactive.mouse
- * @param {object}           obj       The object onto the interaction will be enabled.
- * @param {type_of_event}    string    Identify the type of interaction. It can be: "pointerdown", ... TODO check phaser
- * @param {function_to_call} function  Callback function to call when an event occurred. The function must accept one parameter: the current scene.
+ * Resume the animation of the sprite instance passed as parameter, previously paused with PP.assets.sprite.animation_pause.
+ * @function animation_resume
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
  */
-PP.interactive.mouse.add = function(obj, type_of_event, function_to_call) {
-    PP.debug.assert(typeof obj === "object",               "Parameter error: obj should be an object.");
-    PP.debug.assert(typeof obj.ph_obj === "object",        "Parameter error: obj is an object but it is not a valid object.");
-    PP.debug.assert(typeof type_of_event === "string",     "Parameter error: type_of_event should be a string.");
-    PP.debug.assert(typeof function_to_call === "function","Parameter error: function_to_call should be a function.");
+PP.assets.sprite.animation_resume = function(sprite_instance) {
+    assert_sprite_instance(sprite_instance);
 
-    let valid_events = ["pointerdown"]; // TODO
-    PP.debug.assert(valid_events.includes(type_of_event), "Parameter error: type_of_event is invalid.");
+    sprite_instance.ph_obj.anims.resume();
+}
 
-    obj.ph_obj.setInteractive();
-    obj.ph_obj.on(type_of_event, () => { function_to_call(this.game.ph_obj.scene); });
+/**
+ * Get the name of the current animation of the sprite instance, even if it is stopped or paused.
+ * @function get_current_animation
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
+ * @return {string} The name of the animation, or undefined if no animation has been played yet.
+ */
+PP.assets.sprite.get_current_animation = function(sprite_instance) {
+    assert_sprite_instance(sprite_instance);
+
+    let current = sprite_instance.ph_obj.anims.currentAnim;
+    if (!current) {
+        return undefined;
+    }
+    return animation_name_from_key(sprite_instance, current.key);
+}
+
+/**
+ * Check whether the sprite instance is playing an animation.
+ * @function is_playing
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
+ * @return {boolean} True if an animation is playing (not stopped, not paused and not complete), false otherwise.
+ */
+PP.assets.sprite.is_playing = function(sprite_instance) {
+    assert_sprite_instance(sprite_instance);
+
+    return sprite_instance.ph_obj.anims.isPlaying;
 }
 
+/**
+ * Register a function to be called when an animation of the sprite instance ends (e.g. to play "fall" after "jump").
+ * Animations repeating forever never end. It should be called once, typically in the create function.
+ * @function animation_on_complete
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
+ * @param {function}         function_to_call      Callback function to call. The function must accept three parameters: the current scene, the sprite instance and the name of the animation.
+ */
+PP.assets.sprite.animation_on_complete = function(sprite_instance, function_to_call) {
+    assert_sprite_instance(sprite_instance);
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    sprite_instance.ph_obj.on("animationcomplete", (animation) => {
+        function_to_call(sprite_instance.ph_obj.scene, sprite_instance, animation_name_from_key(sprite_instance, animation.key));
+    });
+}
+
+/**
+ * Register a function to be called each time an animation of the sprite instance restarts.
+ * It should be called once, typically in the create function.
+ * @function animation_on_repeat
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
+ * @param {function}         function_to_call      Callback function to call. The function must accept three parameters: the current scene, the sprite instance and the name of the animation.
+ */
+PP.assets.sprite.animation_on_repeat = function(sprite_instance, function_to_call) {
+    assert_sprite_instance(sprite_instance);
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    sprite_instance.ph_obj.on("animationrepeat", (animation) => {
+        function_to_call(sprite_instance.ph_obj.scene, sprite_instance, animation_name_from_key(sprite_instance, animation.key));
+    });
+}
+
+/**
+ * Register a function to be called each time an animation of the sprite instance changes frame (e.g. to play a step sound).
+ * It should be called once, typically in the create function.
+ * @function animation_on_frame
+ * @memberof PP.assets.sprite
+ * @param {object}           sprite_instance       The object of the sprite instance returned by PP.assets.sprite.add.
+ * @param {function}         function_to_call      Callback function to call. The function must accept four parameters: the current scene, the sprite instance, the name of the animation and the new frame (its number in the spritesheet, or its name in the atlas).
+ */
+PP.assets.sprite.animation_on_frame = function(sprite_instance, function_to_call) {
+    assert_sprite_instance(sprite_instance);
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    sprite_instance.ph_obj.on("animationupdate", (animation, frame) => {
+        function_to_call(sprite_instance.ph_obj.scene, sprite_instance, animation_name_from_key(sprite_instance, animation.key), frame.textureFrame);
+    });
+}
+
+
+/************* TEXT *************/
+
+/**
+ * Load a web font (e.g. a .ttf or .woff file) to be used in PP.assets.text.add. It must be called in the preload function.
+ * @function load_web_font
+ * @memberof PP.assets.text
+ * @param {object}   scene       The scene object where the font will be used.
+ * @param {string}   font_name   A unique name for the font. It can be an arbitrary string.
+ * @param {string}   font_path   A path of the font file to load. It can be relative to the current page or a full URL.
+ * @return An object representing the font, to be used as font in the text style.
+ */
+PP.assets.text.load_web_font = function(scene, font_name, font_path) {
+    PP.debug.assert(typeof scene     === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof font_name === "string", "param_string", {name: "font_name"});
+    PP.debug.assert(typeof font_path === "string", "param_string", {name: "font_path"});
+
+    let url_hash = cyrb53(font_path);  // This is used as ID
+
+    if(PP.assets.list_images_id.includes(url_hash)) {
+        console.warn(get_message("warn_duplicated_font", {path: font_path}));
+        return {id: url_hash, type: "web_font", font_name: font_name};
+    }
+
+    PP.assets.list_images_id.push(url_hash);
+
+    // Phaser does not support web fonts, so we add to the loader a file using the browser FontFace API.
+    // In this way the create function is called only after the font is ready.
+    let file = new Phaser.Loader.File(scene.load, {type: "web_font", key: url_hash, url: font_path});
+    file.load = function() {
+        new FontFace(font_name, "url(" + file.url + ")").load().then(
+            (font_face) => { document.fonts.add(font_face); file.loader.nextFile(file, true); },
+            ()          => { file.loader.nextFile(file, false); }
+        );
+    };
+    scene.load.addFile(file);
+
+    return {id: url_hash, type: "web_font", font_name: font_name};
+}
+
+/**
+ * Load a bitmap font, made of an image with all the characters and an XML file describing them
+ * (as exported by tools like BMFont or Littera). It must be called in the preload function.
+ * @function load_bitmap_font
+ * @memberof PP.assets.text
+ * @param {object}   scene       The scene object where the font will be used.
+ * @param {string}   image_path  A path of the image of the font. It can be relative to the current page or a full URL.
+ * @param {string}   xml_path    A path of the XML file of the font. It can be relative to the current page or a full URL.
+ * @return An object representing the bitmap font, to be used in PP.assets.text.add_bitmap.
+ */
+PP.assets.text.load_bitmap_font = function(scene, image_path, xml_path) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof image_path === "string", "param_string", {name: "image_path"});
+    PP.debug.assert(typeof xml_path   === "string", "param_string", {name: "xml_path"});
+
+    let url_hash = cyrb53(image_path);  // This is used as ID
+
+    if(PP.assets.list_images_id.includes(url_hash)) {
+        console.warn(get_message("warn_duplicated_image", {path: image_path}));
+        return {id: url_hash, type: "bitmap_font"};
+    }
+
+    PP.assets.list_images_id.push(url_hash);
+
+    scene.load.bitmapFont(url_hash, image_path, xml_path);
+    return {id: url_hash, type: "bitmap_font"};
+}
+
+/**
+ * Write a new text into the scene.
+ * @function add
+ * @memberof PP.assets.text
+ * @param {object}   scene                    The scene object where to add the text.
+ * @param {number}   x                        The horizontal position in pixels of the top-left corner of the text.
+ * @param {number}   y                        The vertical position in pixels of the top-left corner of the text.
+ * @param {string}   string                   The text to write. Use "\n" to go to a new line.
+ * @param {object}   [style]                  The object containing the text style. All the fields are optional.
+ * @param {string|object} [style.font]        The font family name (e.g. "Arial") or a font returned by PP.assets.text.load_web_font. Default is "Arial".
+ * @param {number}   [style.size]             The font size in pixels. Default is 16.
+ * @param {string}   [style.font_style]       The font style: "normal", "bold", "italic" or "bold italic". Default is "normal".
+ * @param {number}   [style.color]            The text color in RGB HEX format (for example 0xFFFFFF). Default is white.
+ * @param {string}   [style.align]            The alignment of multi-line text: "left", "center" or "right". Default is "left".
+ * @param {number}   [style.stroke_color]     The color of the text border in RGB HEX format. Default is black.
+ * @param {number}   [style.stroke_width]     The thickness in pixels of the text border. Default is 0 (no border).
+ * @param {number}   [style.word_wrap_width]  If specified, the text automatically goes to a new line when wider than this number of pixels.
+ * @return A text instance object representing the text added to the scene.
+ */
+PP.assets.text.add = function(scene, x, y, string, style = {}) {
+    PP.debug.assert(typeof scene  === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x      === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y      === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof string === "string", "param_string", {name: "string"});
+    PP.debug.assert(typeof style  === "object", "param_object", {name: "style"});
+
+    let valid_options = ["font", "size", "font_style", "color", "align", "stroke_color", "stroke_width", "word_wrap_width"];
+    Object.keys(style).forEach(option => {
+        PP.debug.assert(valid_options.includes(option), "param_text_option", {option: option});
+    });
+
+    let font = style.font === undefined ? "Arial" : style.font;
+    PP.debug.assert(typeof font === "string" || font.type === "web_font", "param_font", {name: "style.font"});
+    PP.debug.assert(style.size            === undefined || typeof style.size            === "number", "param_number", {name: "style.size"});
+    PP.debug.assert(style.font_style      === undefined || ["normal", "bold", "italic", "bold italic"].includes(style.font_style),
+                    "param_font_style", {name: "style.font_style"});
+    PP.debug.assert(style.color           === undefined || typeof style.color           === "number", "param_number", {name: "style.color"});
+    PP.debug.assert(style.align           === undefined || ["left", "center", "right"].includes(style.align),
+                    "param_align", {name: "style.align"});
+    PP.debug.assert(style.stroke_color    === undefined || typeof style.stroke_color    === "number", "param_number", {name: "style.stroke_color"});
+    PP.debug.assert(style.stroke_width    === undefined || typeof style.stroke_width    === "number", "param_number", {name: "style.stroke_width"});
+    PP.debug.assert(style.word_wrap_width === undefined || typeof style.word_wrap_width === "number", "param_number", {name: "style.word_wrap_width"});
+
+    let ph_style = {
+        fontFamily      : typeof font === "string" ? font : font.font_name,
+        fontSize        : (style.size === undefined ? 16 : style.size) + "px",
+        fontStyle       : style.font_style === undefined ? "normal" : style.font_style,
+        color           : to_css_color(style.color === undefined ? 0xFFFFFF : style.color),
+        align           : style.align === undefined ? "left" : style.align,
+        stroke          : to_css_color(style.stroke_color === undefined ? 0x000000 : style.stroke_color),
+        strokeThickness : style.stroke_width === undefined ? 0 : style.stroke_width,
+    };
+
+    if (style.word_wrap_width !== undefined) {
+        ph_style.wordWrap = { width: style.word_wrap_width };
+    }
+
+    let temp_text = scene.add.text(x, y, string, ph_style);
+
+    return {ph_obj: temp_text, text_type: "text"};
+}
+
+/**
+ * Write a new text into the scene using a bitmap font.
+ * @function add_bitmap
+ * @memberof PP.assets.text
+ * @param {object}   scene        The scene object where to add the text.
+ * @param {object}   bitmap_font  The object of a bitmap font returned by PP.assets.text.load_bitmap_font
+ * @param {number}   x            The horizontal position in pixels of the top-left corner of the text.
+ * @param {number}   y            The vertical position in pixels of the top-left corner of the text.
+ * @param {string}   string       The text to write. Use "\n" to go to a new line.
+ * @param {number}   size         The font size in pixels.
+ * @return A text instance object representing the text added to the scene.
+ */
+PP.assets.text.add_bitmap = function(scene, bitmap_font, x, y, string, size) {
+    PP.debug.assert(typeof scene  === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof bitmap_font === "object", "param_object", {name: "bitmap_font"});
+    PP.debug.assert(bitmap_font.type === "bitmap_font", "param_not_bitmap_font", {name: "bitmap_font"});
+    PP.debug.assert(typeof x      === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y      === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof string === "string", "param_string", {name: "string"});
+    PP.debug.assert(typeof size   === "number", "param_number", {name: "size"});
+
+    let temp_text = scene.add.bitmapText(x, y, bitmap_font.id, string, size);
+
+    return {ph_obj: temp_text, text_type: "bitmap", orig_font: bitmap_font};
+}
+
+/**
+ * Change the content of a text instance (e.g. to update a score).
+ * @function set_text
+ * @memberof PP.assets.text
+ * @param {object}   text_instance  The object of a text instance returned by PP.assets.text.add or PP.assets.text.add_bitmap.
+ * @param {string}   string         The new text.
+ */
+PP.assets.text.set_text = function(text_instance, string) {
+    PP.debug.assert(typeof text_instance === "object" && typeof text_instance.text_type === "string", "param_text_instance", {name: "text_instance"});
+    assert_instance(text_instance, "text_instance");
+    PP.debug.assert(typeof string === "string", "param_string", {name: "string"});
+
+    text_instance.ph_obj.setText(string);
+}
+
+/**
+ * Get the current content of a text instance.
+ * @function get_text
+ * @memberof PP.assets.text
+ * @param {object}   text_instance  The object of a text instance returned by PP.assets.text.add or PP.assets.text.add_bitmap.
+ * @return {string} The current text.
+ */
+PP.assets.text.get_text = function(text_instance) {
+    PP.debug.assert(typeof text_instance === "object" && typeof text_instance.text_type === "string", "param_text_instance", {name: "text_instance"});
+    assert_instance(text_instance, "text_instance");
+
+    return text_instance.ph_obj.text;
+}
+
+
+/************* AUDIO *************/
+
+// Check that sound_instance is a sound returned by PP.assets.audio.add, and that it has not been destroyed
+// together with its scene.
+const assert_sound_instance = (sound_instance) => {
+    PP.debug.assert(typeof sound_instance === "object" && typeof sound_instance.orig_audio === "object", "param_sound_instance", {name: "sound_instance"});
+    PP.debug.assert(!sound_instance.destroyed, "destroyed_object");
+};
+
+/**
+ * Load a new sound. It must be called in the preload function.
+ * Browsers support different audio formats, so multiple files of the same sound can be provided
+ * (e.g. ["sounds/jump.ogg", "sounds/jump.mp3"]) and the first one supported by the browser is used.
+ * @function load
+ * @memberof PP.assets.audio
+ * @param {object}          scene        The scene object where the sound will be used.
+ * @param {string|string[]} audio_path   A path of the audio file to load, or an array of paths of the same sound in different formats. They can be relative to the current page or full URLs.
+ * @return An audio object representing the audio file itself.
+ */
+PP.assets.audio.load = function(scene, audio_path) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof audio_path === "string" || (Array.isArray(audio_path) && audio_path.length > 0 && audio_path.every(p => typeof p === "string")),
+                    "param_string_or_strings", {name: "audio_path"});
+
+    let url_hash = cyrb53([].concat(audio_path).join("|"));  // This is used as ID
+
+    if(PP.assets.list_audio_id.includes(url_hash)) {
+        console.warn(get_message("warn_duplicated_audio", {path: audio_path}));
+        return {id: url_hash, type: "audio"};
+    }
+
+    PP.assets.list_audio_id.push(url_hash);
+
+    scene.load.audio(url_hash, audio_path);
+    return {id: url_hash, type: "audio"};
+}
+
+/**
+ * Add a new sound into the scene, ready to be played. The sound is stopped when the scene is stopped.
+ * @function add
+ * @memberof PP.assets.audio
+ * @param {object}   scene     The scene object where to add the sound.
+ * @param {object}   audio     The object of an audio returned by PP.assets.audio.load
+ * @param {number}   [volume]  The volume, from 0 (silent) to 1 (full volume). Default is 1.
+ * @param {boolean}  [loop]    True if the sound should restart when it ends. Default is false.
+ * @return A sound instance object representing the specific sound added to the scene.
+ */
+PP.assets.audio.add = function(scene, audio, volume = 1, loop = false) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof audio === "object", "param_object", {name: "audio"});
+    PP.debug.assert(audio.type === "audio", "param_not_audio", {name: "audio"});
+    PP.debug.assert(typeof volume === "number", "param_number", {name: "volume"});
+    PP.debug.assert(typeof loop === "boolean", "param_boolean", {name: "loop"});
+    PP.debug.assert(volume >= 0 && volume <= 1, "param_between_0_1", {name: "volume"});
+
+    let temp_sound = scene.sound.add(audio.id, {volume: volume, loop: loop});
+    let sound_instance = {ph_obj: temp_sound, orig_audio: audio};
+
+    // The sound manager is shared by all the scenes, so we have to remove the sound ourselves
+    scene.events.once("shutdown", () => {
+        temp_sound.destroy();
+        sound_instance.destroyed = true;
+    });
+
+    return sound_instance;
+}
+
+/**
+ * Play a sound from the beginning.
+ * @function play
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ */
+PP.assets.audio.play = function(sound_instance) {
+    assert_sound_instance(sound_instance);
+
+    sound_instance.ph_obj.play();
+}
+
+/**
+ * Stop a sound. When played again, it restarts from the beginning.
+ * @function stop
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ */
+PP.assets.audio.stop = function(sound_instance) {
+    assert_sound_instance(sound_instance);
+
+    sound_instance.ph_obj.stop();
+}
+
+/**
+ * Pause a sound. It can be resumed with PP.assets.audio.resume.
+ * @function pause
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ */
+PP.assets.audio.pause = function(sound_instance) {
+    assert_sound_instance(sound_instance);
+
+    sound_instance.ph_obj.pause();
+}
+
+/**
+ * Resume a sound previously paused with PP.assets.audio.pause.
+ * @function resume
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ */
+PP.assets.audio.resume = function(sound_instance) {
+    assert_sound_instance(sound_instance);
+
+    sound_instance.ph_obj.resume();
+}
+
+/**
+ * Check whether a sound is playing.
+ * @function is_playing
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ * @return {boolean} True if the sound is playing, false otherwise.
+ */
+PP.assets.audio.is_playing = function(sound_instance) {
+    assert_sound_instance(sound_instance);
+
+    return sound_instance.ph_obj.isPlaying;
+}
+
+/**
+ * Set whether a sound restarts when it ends.
+ * @function set_loop
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ * @param {boolean}  loop            True if the sound should restart when it ends, false otherwise.
+ */
+PP.assets.audio.set_loop = function(sound_instance, loop) {
+    assert_sound_instance(sound_instance);
+    PP.debug.assert(typeof loop === "boolean", "param_boolean", {name: "loop"});
+
+    sound_instance.ph_obj.setLoop(loop);
+}
+
+/**
+ * Set the volume of a sound.
+ * @function set_volume
+ * @memberof PP.assets.audio
+ * @param {object}   sound_instance  The object of a sound instance returned by PP.assets.audio.add
+ * @param {number}   volume          The volume, from 0 (silent) to 1 (full volume).
+ */
+PP.assets.audio.set_volume = function(sound_instance, volume) {
+    assert_sound_instance(sound_instance);
+    PP.debug.assert(typeof volume === "number", "param_number", {name: "volume"});
+    PP.debug.assert(volume >= 0 && volume <= 1, "param_between_0_1", {name: "volume"});
+
+    sound_instance.ph_obj.setVolume(volume);
+}
+
+/**
+ * Play a music in loop. Differently from the sounds added with PP.assets.audio.add, the music keeps playing
+ * when the scene changes (PP.scenes.start). Only one music at a time can be played: the previous one is stopped,
+ * unless it is the same music, which continues without restarting.
+ * @function play_music
+ * @memberof PP.assets.audio
+ * @param {object}   scene     The current scene.
+ * @param {object}   audio     The object of an audio returned by PP.assets.audio.load
+ * @param {number}   [volume]  The volume, from 0 (silent) to 1 (full volume). Default is 1.
+ */
+PP.assets.audio.play_music = function(scene, audio, volume = 1) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof audio === "object", "param_object", {name: "audio"});
+    PP.debug.assert(audio.type === "audio", "param_not_audio", {name: "audio"});
+    PP.debug.assert(typeof volume === "number", "param_number", {name: "volume"});
+    PP.debug.assert(volume >= 0 && volume <= 1, "param_between_0_1", {name: "volume"});
+
+    let music = PP.assets.audio.current_music;
+
+    if (music !== undefined && music.key === audio.id) {
+        music.setVolume(volume);
+        return;
+    }
+
+    PP.assets.audio.stop_music();
+
+    PP.assets.audio.current_music = scene.sound.add(audio.id, {volume: volume, loop: true});
+    PP.assets.audio.current_music.play();
+}
+
+/**
+ * Stop the music started with PP.assets.audio.play_music (if any).
+ * @function stop_music
+ * @memberof PP.assets.audio
+ */
+PP.assets.audio.stop_music = function() {
+    if (PP.assets.audio.current_music !== undefined) {
+        PP.assets.audio.current_music.destroy();
+        PP.assets.audio.current_music = undefined;
+    }
+}
+
+/**
+ * Mute or unmute all the sounds and the music of the game.
+ * @function set_mute
+ * @memberof PP.assets.audio
+ * @param {boolean}  mute  True to mute the game, false to unmute it.
+ */
+PP.assets.audio.set_mute = function(mute) {
+    PP.debug.assert(typeof mute === "boolean", "param_boolean", {name: "mute"});
+    PP.debug.assert(PP.game.ph_obj, "mute_before_create");
+
+    PP.game.ph_obj.sound.mute = mute;
+}
+
+/**
+ * Check whether the game is muted.
+ * @function is_muted
+ * @memberof PP.assets.audio
+ * @return {boolean} True if the game is muted, false otherwise.
+ */
+PP.assets.audio.is_muted = function() {
+    PP.debug.assert(PP.game.ph_obj, "is_muted_before_create");
+
+    return PP.game.ph_obj.sound.mute;
+}
+
+
+/************* TILEMAPS *************/
+
+/**
+ * Load a new tilemap. It must be called in the preload function. The images of the tilesets must be loaded
+ * separately with PP.assets.image.load.
+ * @function load
+ * @memberof PP.assets.tilemap
+ * @param {object}   scene     The scene object where the tilemap will be used.
+ * @param {string}   map_path  A path of the map file to load: a JSON file exported by Tiled or a CSV file (with the .csv extension). It can be relative to the current page or a full URL.
+ * @return A tilemap object representing the map file itself.
+ */
+PP.assets.tilemap.load = function(scene, map_path) {
+    PP.debug.assert(typeof scene    === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof map_path === "string", "param_string", {name: "map_path"});
+
+    let url_hash = cyrb53(map_path);  // This is used as ID
+    let format   = map_path.toLowerCase().endsWith(".csv") ? "csv" : "json";
+
+    if(PP.assets.list_images_id.includes(url_hash)) {
+        console.warn(get_message("warn_duplicated_tilemap", {path: map_path}));
+        return {id: url_hash, type: "tilemap", format: format};
+    }
+
+    PP.assets.list_images_id.push(url_hash);
+
+    if (format === "csv") {
+        scene.load.tilemapCSV(url_hash, map_path);
+    } else {
+        scene.load.tilemapTiledJSON(url_hash, map_path);
+    }
+    return {id: url_hash, type: "tilemap", format: format};
+}
+
+/**
+ * Add a tilemap into the scene. The layers are not drawn until PP.assets.tilemap.add_layer is called.
+ * @function add
+ * @memberof PP.assets.tilemap
+ * @param {object}   scene          The scene object where to add the tilemap.
+ * @param {object}   tilemap        The object of a tilemap returned by PP.assets.tilemap.load
+ * @param {number}   [tile_width]   The width in pixels of a tile. Required only for CSV maps (JSON maps contain it).
+ * @param {number}   [tile_height]  The height in pixels of a tile. Required only for CSV maps (JSON maps contain it).
+ * @return A tilemap instance object representing the specific tilemap added to the scene.
+ */
+PP.assets.tilemap.add = function(scene, tilemap, tile_width, tile_height) {
+    PP.debug.assert(typeof scene   === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof tilemap === "object", "param_object", {name: "tilemap"});
+    PP.debug.assert(tilemap.type === "tilemap", "param_not_tilemap", {name: "tilemap"});
+
+    if (tilemap.format === "csv") {
+        PP.debug.assert(typeof tile_width  === "number", "param_number_csv", {name: "tile_width"});
+        PP.debug.assert(typeof tile_height === "number", "param_number_csv", {name: "tile_height"});
+    }
+
+    let temp_map = scene.make.tilemap({key: tilemap.id, tileWidth: tile_width, tileHeight: tile_height});
+
+    return {ph_obj: temp_map, orig_tilemap: tilemap, list_of_tilesets: []};
+}
+
+/**
+ * Associate an image loaded with PP.assets.image.load to a tileset of the tilemap.
+ * @function add_tileset
+ * @memberof PP.assets.tilemap
+ * @param {object}   map_instance   The object of a tilemap instance returned by PP.assets.tilemap.add
+ * @param {string}   tileset_name   The name of the tileset, as written in Tiled. For CSV maps, it can be an arbitrary string.
+ * @param {object}   image          The object of the tileset image returned by PP.assets.image.load
+ */
+PP.assets.tilemap.add_tileset = function(map_instance, tileset_name, image) {
+    PP.debug.assert(typeof map_instance === "object" && typeof map_instance.orig_tilemap === "object", "param_tilemap_instance", {name: "map_instance"});
+    PP.debug.assert(typeof tileset_name === "string", "param_string", {name: "tileset_name"});
+    PP.debug.assert(typeof image === "object", "param_object", {name: "image"});
+    PP.debug.assert(image.type === "image", "param_not_image", {name: "image"});
+
+    let tileset = map_instance.ph_obj.addTilesetImage(tileset_name, image.id);
+    PP.debug.assert(tileset, "tileset_not_found", {tileset_name: tileset_name});
+
+    map_instance.list_of_tilesets.push(tileset);
+}
+
+/**
+ * Draw a layer of the tilemap into the scene, using all the tilesets added with PP.assets.tilemap.add_tileset.
+ * @function add_layer
+ * @memberof PP.assets.tilemap
+ * @param {object}   map_instance   The object of a tilemap instance returned by PP.assets.tilemap.add
+ * @param {string}   layer_name     The name of the layer, as written in Tiled. For CSV maps, which have a single layer, it can be an arbitrary string.
+ * @param {number}   x              The horizontal position in pixels of the top-left corner of the layer.
+ * @param {number}   y              The vertical position in pixels of the top-left corner of the layer.
+ * @return A layer instance object representing the layer added to the scene.
+ */
+PP.assets.tilemap.add_layer = function(map_instance, layer_name, x, y) {
+    PP.debug.assert(typeof map_instance === "object" && typeof map_instance.orig_tilemap === "object", "param_tilemap_instance", {name: "map_instance"});
+    PP.debug.assert(typeof layer_name === "string", "param_string", {name: "layer_name"});
+    PP.debug.assert(typeof x === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y === "number", "param_number", {name: "y"});
+    PP.debug.assert(map_instance.list_of_tilesets.length > 0, "no_tilesets");
+
+    // CSV maps have a single layer without name
+    let layer_id = map_instance.orig_tilemap.format === "csv" ? 0 : layer_name;
+
+    let temp_layer = map_instance.ph_obj.createLayer(layer_id, map_instance.list_of_tilesets, x, y);
+    PP.debug.assert(temp_layer, "tile_layer_not_found", {layer_name: layer_name});
+
+    return {ph_obj: temp_layer, layer_name: layer_name, map: map_instance};
+}
+
+/**
+ * Make some tiles of a layer solid, so that the instances with a physics body collide with them
+ * (see PP.physics.add_collider, passing the layer instance).
+ * @function set_solid
+ * @memberof PP.assets.tilemap
+ * @param {object}   layer_instance  The object of a layer instance returned by PP.assets.tilemap.add_layer
+ * @param {number[]} tile_indexes    The list of the indexes of the solid tiles (as shown in Tiled + 1, or as written in the CSV file).
+ */
+PP.assets.tilemap.set_solid = function(layer_instance, tile_indexes) {
+    PP.debug.assert(typeof layer_instance === "object" && typeof layer_instance.layer_name === "string", "param_layer_instance", {name: "layer_instance"});
+    PP.debug.assert(Array.isArray(tile_indexes) && tile_indexes.every(i => typeof i === "number"), "param_array_of_numbers", {name: "tile_indexes"});
+
+    layer_instance.ph_obj.setCollision(tile_indexes);
+}
+
+/**
+ * Get the index of the tile at a given position of the grid.
+ * @function get_tile
+ * @memberof PP.assets.tilemap
+ * @param {object}   layer_instance  The object of a layer instance returned by PP.assets.tilemap.add_layer
+ * @param {number}   col             The column of the tile, starting from 0 on the left.
+ * @param {number}   row             The row of the tile, starting from 0 at the top.
+ * @return {number} The index of the tile, or -1 if the cell is empty or outside the map.
+ */
+PP.assets.tilemap.get_tile = function(layer_instance, col, row) {
+    PP.debug.assert(typeof layer_instance === "object" && typeof layer_instance.layer_name === "string", "param_layer_instance", {name: "layer_instance"});
+    PP.debug.assert(typeof col === "number", "param_number", {name: "col"});
+    PP.debug.assert(typeof row === "number", "param_number", {name: "row"});
+
+    let tile = layer_instance.ph_obj.getTileAt(col, row, true);
+
+    return tile ? tile.index : -1;
+}
+
+/**
+ * Replace the tile at a given position of the grid (e.g. to remove a collected coin).
+ * @function set_tile
+ * @memberof PP.assets.tilemap
+ * @param {object}   layer_instance  The object of a layer instance returned by PP.assets.tilemap.add_layer
+ * @param {number}   col             The column of the tile, starting from 0 on the left.
+ * @param {number}   row             The row of the tile, starting from 0 at the top.
+ * @param {number}   tile_index      The index of the new tile, or -1 to empty the cell.
+ */
+PP.assets.tilemap.set_tile = function(layer_instance, col, row, tile_index) {
+    PP.debug.assert(typeof layer_instance === "object" && typeof layer_instance.layer_name === "string", "param_layer_instance", {name: "layer_instance"});
+    PP.debug.assert(typeof col === "number", "param_number", {name: "col"});
+    PP.debug.assert(typeof row === "number", "param_number", {name: "row"});
+    PP.debug.assert(typeof tile_index === "number", "param_number", {name: "tile_index"});
+
+    let map = layer_instance.map.ph_obj;
+    PP.debug.assert(col >= 0 && col < map.width && row >= 0 && row < map.height, "param_tile_outside_map");
+
+    if (tile_index === -1) {
+        layer_instance.ph_obj.removeTileAt(col, row);
+    } else {
+        layer_instance.ph_obj.putTileAt(tile_index, col, row);
+    }
+}
+
+/**
+ * Get the objects of an object layer drawn in Tiled (e.g. spawn points or coins). Only for JSON maps.
+ * @function get_objects
+ * @memberof PP.assets.tilemap
+ * @param {object}   map_instance   The object of a tilemap instance returned by PP.assets.tilemap.add
+ * @param {string}   layer_name     The name of the object layer, as written in Tiled.
+ * @return {object[]} An array of objects, each one with the fields: name, type, x, y, width, height and properties (an object with the custom properties set in Tiled).
+ */
+PP.assets.tilemap.get_objects = function(map_instance, layer_name) {
+    PP.debug.assert(typeof map_instance === "object" && typeof map_instance.orig_tilemap === "object", "param_tilemap_instance", {name: "map_instance"});
+    PP.debug.assert(typeof layer_name === "string", "param_string", {name: "layer_name"});
+
+    let object_layer = map_instance.ph_obj.getObjectLayer(layer_name);
+    PP.debug.assert(object_layer, "object_layer_not_found", {layer_name: layer_name});
+
+    return object_layer.objects.map(obj => {
+        let properties = {};
+        (obj.properties || []).forEach(p => { properties[p.name] = p.value; });
+
+        return {
+            name       : obj.name,
+            type       : obj.type,
+            x          : obj.x,
+            y          : obj.y,
+            width      : obj.width,
+            height     : obj.height,
+            properties : properties
+        };
+    });
+}
+
+
+/************* MANIFESTS AND LOADING *************/
+
+// Load all the assets listed in a manifest object, storing the returned objects in handles.
+const load_manifest_object = (scene, manifest, handles) => {
+    let valid_sections = ["images", "spritesheets", "atlases", "audio"];
+    Object.keys(manifest).forEach(section => {
+        PP.debug.assert(valid_sections.includes(section), "manifest_section", {section: section});
+    });
+
+    Object.entries(manifest.images || {}).forEach(([name, path]) => {
+        handles[name] = PP.assets.image.load(scene, path);
+    });
+    Object.entries(manifest.spritesheets || {}).forEach(([name, sheet]) => {
+        PP.debug.assert(typeof sheet === "object", "manifest_spritesheet", {asset_name: name});
+        handles[name] = PP.assets.sprite.load_spritesheet(scene, sheet.path, sheet.frame_width, sheet.frame_height,
+                                                          sheet.start_frame, sheet.end_frame);
+    });
+    Object.entries(manifest.atlases || {}).forEach(([name, atlas]) => {
+        PP.debug.assert(typeof atlas === "object", "manifest_atlas", {asset_name: name});
+        handles[name] = PP.assets.sprite.load_atlas(scene, atlas.image_path, atlas.json_path);
+    });
+    Object.entries(manifest.audio || {}).forEach(([name, path]) => {
+        handles[name] = PP.assets.audio.load(scene, path);
+    });
+};
+
+/**
+ * Load a list of assets at once. It must be called in the preload function. The manifest is an object
+ * (or the path of a JSON file containing it) with the following optional sections:
+ * <pre>
+ * {
+ *     "images"       : { "background" : "assets/images/background.png" },
+ *     "spritesheets" : { "player" : { "path" : "assets/images/player.png", "frame_width" : 32, "frame_height" : 32, "start_frame" : 0, "end_frame" : 7 } },
+ *     "atlases"      : { "enemy" : { "image_path" : "assets/images/enemy.png", "json_path" : "assets/images/enemy.json" } },
+ *     "audio"        : { "jump" : ["assets/sounds/jump.ogg", "assets/sounds/jump.mp3"] }
+ * }
+ * </pre>
+ * When a JSON path is given, the returned object is filled only after the file is loaded (at once if it was already
+ * loaded, e.g. by a previous run of the scene), so its content can be used in the create function but not in the preload function.
+ * @function load_manifest
+ * @memberof PP.assets
+ * @param {object}        scene      The scene object where the assets will be used.
+ * @param {object|string} manifest   The manifest object, or a path of a JSON file containing it.
+ * @return {object} An object containing, for each name of the manifest, the object returned by the corresponding load function (e.g. handles.background).
+ */
+PP.assets.load_manifest = function(scene, manifest) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof manifest === "object" || typeof manifest === "string", "param_object_or_string", {name: "manifest"});
+
+    let handles = {};
+
+    if (typeof manifest === "object") {
+        load_manifest_object(scene, manifest, handles);
+        return handles;
+    }
+
+    let url_hash = cyrb53(manifest);  // This is used as ID
+
+    // Phaser does not load again a file already in its cache (e.g. when the scene is restarted)
+    if (scene.cache.json.exists(url_hash)) {
+        load_manifest_object(scene, scene.cache.json.get(url_hash), handles);
+        return handles;
+    }
+
+    // The assets are added to the loader as soon as the manifest is loaded, so they are ready before create
+    scene.load.once("filecomplete-json-" + url_hash, (key, type, data) => {
+        load_manifest_object(scene, data, handles);
+    });
+    scene.load.json(url_hash, manifest);
+
+    return handles;
+}
+
+/**
+ * Show a progress bar at the center of the canvas while the assets of the scene are loading.
+ * It must be called in the preload function, and the bar is removed when the loading is complete.
+ * @function show_progress_bar
+ * @memberof PP.assets
+ * @param {object}   scene    The scene object whose assets are loading.
+ * @param {number}   [color]  The color of the bar in RGB HEX format. Default is white (0xFFFFFF).
+ */
+PP.assets.show_progress_bar = function(scene, color = 0xFFFFFF) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof color === "number", "param_number", {name: "color"});
+    PP.debug.assert(color >= 0 && color <= 0xFFFFFF, "param_color", {name: "color"});
+
+    let width  = PP.game.config.canvas_width / 2;
+    let height = 20;
+    let x      = (PP.game.config.canvas_width  - width)  / 2;
+    let y      = (PP.game.config.canvas_height - height) / 2;
+
+    let border = PP.shapes.add_rectangle(scene, x, y, width, height, color, 0);
+    PP.shapes.set_stroke(border, color, 2);
+    let bar    = PP.shapes.add_rectangle(scene, x, y, 0, height, color);
+
+    scene.load.on("progress", (value) => { PP.shapes.set_size(bar, width * value, height); });
+    scene.load.once("complete", () => {
+        PP.game_object.destroy(border);
+        PP.game_object.destroy(bar);
+    });
+}
+
+/**
+ * Register a function to be called when an asset of the scene cannot be loaded (e.g. a wrong path).
+ * It must be called in the preload function. A warning is printed in the console in any case.
+ * @function on_load_error
+ * @memberof PP.assets
+ * @param {object}   scene             The scene object whose assets are loading.
+ * @param {function} function_to_call  Callback function to call for each asset that cannot be loaded. The function must accept two parameters: the current scene and the path of the asset.
+ */
+PP.assets.on_load_error = function(scene, function_to_call) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    scene.load.on("loaderror", (file) => { function_to_call(scene, file.url); });
+}
+
+
+/************* GAME OBJECTS *************/
+
+/**
+ * Move an instance to a new position.
+ * @function set_position
+ * @memberof PP.game_object
+ * @param {object}   obj  The object of an instance (returned by PP.assets.image.add, PP.assets.sprite.add, PP.shapes.add_*, ...).
+ * @param {number}   x    The new horizontal position in pixels.
+ * @param {number}   y    The new vertical position in pixels.
+ */
+PP.game_object.set_position = function(obj, x, y) {
+    assert_instance(obj);
+    PP.debug.assert(typeof x === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y === "number", "param_number", {name: "y"});
+
+    obj.ph_obj.setPosition(x, y);
+
+    // Static bodies do not follow their object automatically
+    if (obj.physics_type === PP.physics.type.STATIC) {
+        obj.ph_obj.body.updateFromGameObject();
+    }
+}
+
+/**
+ * Get the current position of an instance.
+ * @function get_position
+ * @memberof PP.game_object
+ * @param {object}   obj  The object of an instance.
+ * @return {object} An object with the horizontal (x) and vertical (y) position in pixels.
+ */
+PP.game_object.get_position = function(obj) {
+    assert_instance(obj);
+
+    return {x: obj.ph_obj.x, y: obj.ph_obj.y};
+}
+
+/**
+ * Scale an instance. A scale of 1 is the original size, 2 is double size, 0.5 is half size.
+ * @function set_scale
+ * @memberof PP.game_object
+ * @param {object}   obj      The object of an instance.
+ * @param {number}   scale_x  The horizontal scale factor.
+ * @param {number}   scale_y  The vertical scale factor.
+ */
+PP.game_object.set_scale = function(obj, scale_x, scale_y) {
+    assert_instance(obj);
+    PP.debug.assert(typeof scale_x === "number", "param_number", {name: "scale_x"});
+    PP.debug.assert(typeof scale_y === "number", "param_number", {name: "scale_y"});
+
+    obj.ph_obj.setScale(scale_x, scale_y);
+
+    if (obj.physics_type === PP.physics.type.STATIC) {
+        obj.ph_obj.body.updateFromGameObject();
+    }
+}
+
+/**
+ * Rotate an instance around its pivot.
+ * @function set_rotation
+ * @memberof PP.game_object
+ * @param {object}   obj    The object of an instance.
+ * @param {number}   angle  The rotation angle **in degrees**, clockwise.
+ */
+PP.game_object.set_rotation = function(obj, angle) {
+    assert_instance(obj);
+    PP.debug.assert(typeof angle === "number", "param_number", {name: "angle"});
+
+    obj.ph_obj.setAngle(angle);
+}
+
+/**
+ * Get the current rotation of an instance.
+ * @function get_rotation
+ * @memberof PP.game_object
+ * @param {object}   obj  The object of an instance.
+ * @return {number} The rotation angle in degrees, between -180 and 180.
+ */
+PP.game_object.get_rotation = function(obj) {
+    assert_instance(obj);
+
+    return obj.ph_obj.angle;
+}
+
+/**
+ * Flip horizontally (mirror) an image or a sprite instance.
+ * @function set_flip_x
+ * @memberof PP.game_object
+ * @param {object}   obj   The object of an image or sprite instance.
+ * @param {boolean}  flip  True to flip the instance, false to restore it.
+ */
+PP.game_object.set_flip_x = function(obj, flip) {
+    assert_instance(obj);
+    PP.debug.assert(typeof obj.ph_obj.setFlipX === "function", "param_cannot_flip", {name: "obj"});
+    PP.debug.assert(typeof flip === "boolean", "param_boolean", {name: "flip"});
+
+    obj.ph_obj.setFlipX(flip);
+}
+
+/**
+ * Flip vertically (upside down) an image or a sprite instance.
+ * @function set_flip_y
+ * @memberof PP.game_object
+ * @param {object}   obj   The object of an image or sprite instance.
+ * @param {boolean}  flip  True to flip the instance, false to restore it.
+ */
+PP.game_object.set_flip_y = function(obj, flip) {
+    assert_instance(obj);
+    PP.debug.assert(typeof obj.ph_obj.setFlipY === "function", "param_cannot_flip", {name: "obj"});
+    PP.debug.assert(typeof flip === "boolean", "param_boolean", {name: "flip"});
+
+    obj.ph_obj.setFlipY(flip);
+}
+
+/**
+ * Show or hide an instance. An hidden instance still exists (and collides, if it has a physics body).
+ * @function set_visible
+ * @memberof PP.game_object
+ * @param {object}   obj      The object of an instance.
+ * @param {boolean}  visible  True to show the instance, false to hide it.
+ */
+PP.game_object.set_visible = function(obj, visible) {
+    assert_instance(obj);
+    PP.debug.assert(typeof visible === "boolean", "param_boolean", {name: "visible"});
+
+    obj.ph_obj.setVisible(visible);
+}
+
+/**
+ * Set the opacity of an instance.
+ * @function set_alpha
+ * @memberof PP.game_object
+ * @param {object}   obj    The object of an instance.
+ * @param {number}   alpha  The opacity, from 0 (transparent) to 1 (opaque).
+ */
+PP.game_object.set_alpha = function(obj, alpha) {
+    assert_instance(obj);
+    PP.debug.assert(typeof alpha === "number", "param_number", {name: "alpha"});
+    PP.debug.assert(alpha >= 0 && alpha <= 1, "param_between_0_1", {name: "alpha"});
+
+    obj.ph_obj.setAlpha(alpha);
+}
+
+/**
+ * Color an image or a sprite instance. The color multiplies the original colors of the image,
+ * so 0xFFFFFF restores the original colors.
+ * @function set_tint
+ * @memberof PP.game_object
+ * @param {object}   obj    The object of an image or sprite instance.
+ * @param {number}   color  The tint color in RGB HEX format (for example 0xFF0000).
+ */
+PP.game_object.set_tint = function(obj, color) {
+    assert_instance(obj);
+    PP.debug.assert(typeof obj.ph_obj.setTint === "function", "param_cannot_tint", {name: "obj"});
+    PP.debug.assert(typeof color === "number", "param_number", {name: "color"});
+    PP.debug.assert(color >= 0 && color <= 0xFFFFFF, "param_color", {name: "color"});
+
+    obj.ph_obj.setTint(color);
+}
+
+/**
+ * Set the depth of an instance, i.e. which instances are drawn in front of the others.
+ * Instances with a higher depth are drawn in front of instances with a lower depth (default depth is 0).
+ * @function set_depth
+ * @memberof PP.game_object
+ * @param {object}   obj    The object of an instance.
+ * @param {number}   depth  The depth value.
+ */
+PP.game_object.set_depth = function(obj, depth) {
+    assert_instance(obj);
+    PP.debug.assert(typeof depth === "number", "param_number", {name: "depth"});
+
+    obj.ph_obj.setDepth(depth);
+}
+
+/**
+ * Remove an instance from the scene. The instance cannot be used anymore after this call.
+ * @function destroy
+ * @memberof PP.game_object
+ * @param {object}   obj  The object of an instance.
+ */
+PP.game_object.destroy = function(obj) {
+    assert_instance(obj);
+
+    obj.ph_obj.destroy();
+    obj.destroyed = true;
+}
+
+
+/************* SHAPES *************/
+
+/**
+ * Add a new filled rectangle into the scene.
+ * @function add_rectangle
+ * @memberof PP.shapes
+ * @param {object}   scene         The scene object where to add the rectangle.
+ * @param {number}   x             The horizontal position in pixels of the top-left corner.
+ * @param {number}   y             The vertical position in pixels of the top-left corner.
+ * @param {number}   width         The width in pixels of the rectangle.
+ * @param {number}   height        The height in pixels of the rectangle.
+ * @param {number}   fill_color    The fill color in RGB HEX format (for example 0xFF0000).
+ * @param {number}   [fill_alpha]  The opacity of the fill, from 0 (transparent) to 1 (opaque). Default is 1.
+ * @return A shape instance object representing the rectangle added to the scene.
+ */
+PP.shapes.add_rectangle = function(scene, x, y, width, height, fill_color, fill_alpha = 1) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x          === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y          === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof width      === "number", "param_number", {name: "width"});
+    PP.debug.assert(typeof height     === "number", "param_number", {name: "height"});
+    PP.debug.assert(typeof fill_color === "number", "param_number", {name: "fill_color"});
+    PP.debug.assert(typeof fill_alpha === "number", "param_number", {name: "fill_alpha"});
+
+    PP.debug.assert(width >= 0 && height >= 0, "param_size_negative");
+    PP.debug.assert(fill_color >= 0 && fill_color <= 0xFFFFFF, "param_color", {name: "fill_color"});
+    PP.debug.assert(fill_alpha >= 0 && fill_alpha <= 1, "param_between_0_1", {name: "fill_alpha"});
+
+    let temp_shape = scene.add.rectangle(x, y, width, height, fill_color, fill_alpha);
+    temp_shape.setOrigin(0, 0);
+
+    return {ph_obj: temp_shape, shape_type: "rectangle"};
+}
+
+/**
+ * Add a new filled circle into the scene.
+ * @function add_circle
+ * @memberof PP.shapes
+ * @param {object}   scene         The scene object where to add the circle.
+ * @param {number}   x             The horizontal position in pixels of the center.
+ * @param {number}   y             The vertical position in pixels of the center.
+ * @param {number}   radius        The radius in pixels of the circle.
+ * @param {number}   fill_color    The fill color in RGB HEX format (for example 0xFF0000).
+ * @param {number}   [fill_alpha]  The opacity of the fill, from 0 (transparent) to 1 (opaque). Default is 1.
+ * @return A shape instance object representing the circle added to the scene.
+ */
+PP.shapes.add_circle = function(scene, x, y, radius, fill_color, fill_alpha = 1) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x          === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y          === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof radius     === "number", "param_number", {name: "radius"});
+    PP.debug.assert(typeof fill_color === "number", "param_number", {name: "fill_color"});
+    PP.debug.assert(typeof fill_alpha === "number", "param_number", {name: "fill_alpha"});
+
+    PP.debug.assert(radius >= 0, "param_cannot_be_negative", {name: "radius"});
+    PP.debug.assert(fill_color >= 0 && fill_color <= 0xFFFFFF, "param_color", {name: "fill_color"});
+    PP.debug.assert(fill_alpha >= 0 && fill_alpha <= 1, "param_between_0_1", {name: "fill_alpha"});
+
+    let temp_shape = scene.add.circle(x, y, radius, fill_color, fill_alpha);
+
+    return {ph_obj: temp_shape, shape_type: "circle"};
+}
+
+/**
+ * Add a new filled ellipse into the scene.
+ * @function add_ellipse
+ * @memberof PP.shapes
+ * @param {object}   scene         The scene object where to add the ellipse.
+ * @param {number}   x             The horizontal position in pixels of the center.
+ * @param {number}   y             The vertical position in pixels of the center.
+ * @param {number}   width         The horizontal diameter in pixels of the ellipse.
+ * @param {number}   height        The vertical diameter in pixels of the ellipse.
+ * @param {number}   fill_color    The fill color in RGB HEX format (for example 0xFF0000).
+ * @param {number}   [fill_alpha]  The opacity of the fill, from 0 (transparent) to 1 (opaque). Default is 1.
+ * @return A shape instance object representing the ellipse added to the scene.
+ */
+PP.shapes.add_ellipse = function(scene, x, y, width, height, fill_color, fill_alpha = 1) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x          === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y          === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof width      === "number", "param_number", {name: "width"});
+    PP.debug.assert(typeof height     === "number", "param_number", {name: "height"});
+    PP.debug.assert(typeof fill_color === "number", "param_number", {name: "fill_color"});
+    PP.debug.assert(typeof fill_alpha === "number", "param_number", {name: "fill_alpha"});
+
+    PP.debug.assert(width >= 0 && height >= 0, "param_size_negative");
+    PP.debug.assert(fill_color >= 0 && fill_color <= 0xFFFFFF, "param_color", {name: "fill_color"});
+    PP.debug.assert(fill_alpha >= 0 && fill_alpha <= 1, "param_between_0_1", {name: "fill_alpha"});
+
+    let temp_shape = scene.add.ellipse(x, y, width, height, fill_color, fill_alpha);
+
+    return {ph_obj: temp_shape, shape_type: "ellipse"};
+}
+
+/**
+ * Add a new line segment into the scene.
+ * @function add_line
+ * @memberof PP.shapes
+ * @param {object}   scene         The scene object where to add the line.
+ * @param {number}   x1            The horizontal position in pixels of the first point.
+ * @param {number}   y1            The vertical position in pixels of the first point.
+ * @param {number}   x2            The horizontal position in pixels of the second point.
+ * @param {number}   y2            The vertical position in pixels of the second point.
+ * @param {number}   color         The color of the line in RGB HEX format (for example 0xFF0000).
+ * @param {number}   [line_width]  The thickness in pixels of the line. Default is 1.
+ * @return A shape instance object representing the line added to the scene.
+ */
+PP.shapes.add_line = function(scene, x1, y1, x2, y2, color, line_width = 1) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x1         === "number", "param_number", {name: "x1"});
+    PP.debug.assert(typeof y1         === "number", "param_number", {name: "y1"});
+    PP.debug.assert(typeof x2         === "number", "param_number", {name: "x2"});
+    PP.debug.assert(typeof y2         === "number", "param_number", {name: "y2"});
+    PP.debug.assert(typeof color      === "number", "param_number", {name: "color"});
+    PP.debug.assert(typeof line_width === "number", "param_number", {name: "line_width"});
+
+    PP.debug.assert(color >= 0 && color <= 0xFFFFFF, "param_color", {name: "color"});
+    PP.debug.assert(line_width > 0, "param_not_positive", {name: "line_width"});
+
+    // The line is placed at (0,0) so that the coordinates of its points are the ones of the scene
+    let temp_shape = scene.add.line(0, 0, x1, y1, x2, y2, color);
+    temp_shape.setOrigin(0, 0);
+    temp_shape.setLineWidth(line_width);
+
+    return {ph_obj: temp_shape, shape_type: "line"};
+}
+
+/**
+ * Add a new filled polygon into the scene.
+ * @function add_polygon
+ * @memberof PP.shapes
+ * @param {object}   scene         The scene object where to add the polygon.
+ * @param {number[]} points        The list of the coordinates in pixels of the vertices: [x1, y1, x2, y2, x3, y3, ...]. At least three vertices are required.
+ * @param {number}   fill_color    The fill color in RGB HEX format (for example 0xFF0000).
+ * @param {number}   [fill_alpha]  The opacity of the fill, from 0 (transparent) to 1 (opaque). Default is 1.
+ * @return A shape instance object representing the polygon added to the scene.
+ */
+PP.shapes.add_polygon = function(scene, points, fill_color, fill_alpha = 1) {
+    PP.debug.assert(typeof scene      === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(Array.isArray(points),          "param_array", {name: "points"});
+    PP.debug.assert(points.every(p => typeof p === "number"), "param_only_numbers", {name: "points"});
+    PP.debug.assert(typeof fill_color === "number", "param_number", {name: "fill_color"});
+    PP.debug.assert(typeof fill_alpha === "number", "param_number", {name: "fill_alpha"});
+
+    PP.debug.assert(points.length >= 6 && points.length % 2 === 0, "param_polygon_points", {name: "points"});
+    PP.debug.assert(fill_color >= 0 && fill_color <= 0xFFFFFF, "param_color", {name: "fill_color"});
+    PP.debug.assert(fill_alpha >= 0 && fill_alpha <= 1, "param_between_0_1", {name: "fill_alpha"});
+
+    // As for lines, the polygon is placed at (0,0) so that the coordinates of its vertices are the ones of the scene
+    let temp_shape = scene.add.polygon(0, 0, points, fill_color, fill_alpha);
+    temp_shape.setOrigin(0, 0);
+
+    return {ph_obj: temp_shape, shape_type: "polygon"};
+}
+
+/**
+ * Change the fill color of a shape. It has no effect on lines.
+ * @function set_fill
+ * @memberof PP.shapes
+ * @param {object}   shape         The object of a shape instance returned by the PP.shapes.add_* functions.
+ * @param {number}   fill_color    The fill color in RGB HEX format (for example 0xFF0000).
+ * @param {number}   [fill_alpha]  The opacity of the fill, from 0 (transparent) to 1 (opaque). Default is 1.
+ */
+PP.shapes.set_fill = function(shape, fill_color, fill_alpha = 1) {
+    PP.debug.assert(typeof shape === "object" && typeof shape.shape_type === "string", "param_shape_instance", {name: "shape"});
+    PP.debug.assert(typeof fill_color === "number", "param_number", {name: "fill_color"});
+    PP.debug.assert(typeof fill_alpha === "number", "param_number", {name: "fill_alpha"});
+
+    PP.debug.assert(fill_color >= 0 && fill_color <= 0xFFFFFF, "param_color", {name: "fill_color"});
+    PP.debug.assert(fill_alpha >= 0 && fill_alpha <= 1, "param_between_0_1", {name: "fill_alpha"});
+
+    shape.ph_obj.setFillStyle(fill_color, fill_alpha);
+}
+
+/**
+ * Change the border (stroke) of a shape. For lines, it changes the color and the thickness of the line itself.
+ * @function set_stroke
+ * @memberof PP.shapes
+ * @param {object}   shape           The object of a shape instance returned by the PP.shapes.add_* functions.
+ * @param {number}   stroke_color    The stroke color in RGB HEX format (for example 0xFF0000).
+ * @param {number}   stroke_width    The thickness in pixels of the stroke. Use 0 to remove the stroke.
+ * @param {number}   [stroke_alpha]  The opacity of the stroke, from 0 (transparent) to 1 (opaque). Default is 1.
+ */
+PP.shapes.set_stroke = function(shape, stroke_color, stroke_width, stroke_alpha = 1) {
+    PP.debug.assert(typeof shape === "object" && typeof shape.shape_type === "string", "param_shape_instance", {name: "shape"});
+    PP.debug.assert(typeof stroke_color === "number", "param_number", {name: "stroke_color"});
+    PP.debug.assert(typeof stroke_width === "number", "param_number", {name: "stroke_width"});
+    PP.debug.assert(typeof stroke_alpha === "number", "param_number", {name: "stroke_alpha"});
+
+    PP.debug.assert(stroke_color >= 0 && stroke_color <= 0xFFFFFF, "param_color", {name: "stroke_color"});
+    PP.debug.assert(stroke_width >= 0, "param_negative", {name: "stroke_width"});
+    PP.debug.assert(stroke_alpha >= 0 && stroke_alpha <= 1, "param_between_0_1", {name: "stroke_alpha"});
+
+    if (shape.shape_type === "line") {
+        shape.ph_obj.setStrokeStyle(stroke_width, stroke_color, stroke_alpha);
+        shape.ph_obj.setLineWidth(stroke_width);
+    } else if (stroke_width === 0) {
+        shape.ph_obj.isStroked = false;
+    } else {
+        shape.ph_obj.setStrokeStyle(stroke_width, stroke_color, stroke_alpha);
+    }
+}
+
+/**
+ * Change the size of a rectangle (useful, for example, for health bars).
+ * @function set_size
+ * @memberof PP.shapes
+ * @param {object}   shape   The object of a rectangle instance returned by PP.shapes.add_rectangle.
+ * @param {number}   width   The new width in pixels of the rectangle.
+ * @param {number}   height  The new height in pixels of the rectangle.
+ */
+PP.shapes.set_size = function(shape, width, height) {
+    PP.debug.assert(typeof shape === "object" && shape.shape_type === "rectangle", "param_not_rectangle", {name: "shape"});
+    PP.debug.assert(typeof width  === "number", "param_number", {name: "width"});
+    PP.debug.assert(typeof height === "number", "param_number", {name: "height"});
+
+    PP.debug.assert(width >= 0 && height >= 0, "param_size_negative");
+
+    shape.ph_obj.setSize(width, height);
+}
+
+
+/************* INTERACTIVE *************/
+
+/**
+ * Add a new interaction with an object, or with all the members of a group (including the ones added later).
+ * The drag events ("dragstart", "drag" and "dragend") are available only on objects made draggable with PP.interactive.mouse.set_draggable.
+ * @function add
+ * @memberof PP.interactive.mouse
+ * @param {object}   obj               The object onto the interaction will be enabled, or a group (see PP.groups.create).
+ * @param {string}   type_of_event     Identify the type of interaction. It can be: "pointerdown", "pointerup", "pointerover", "pointerout", "pointermove", "wheel", "dragstart", "drag", "dragend".
+ * @param {function} function_to_call  Callback function to call when an event occurred. The function must accept two parameters: the current scene and the object that was hit. For "wheel" events, a third parameter contains the vertical scroll amount (positive when scrolling down).
+ */
+PP.interactive.mouse.add = function(obj, type_of_event, function_to_call) {
+    PP.debug.assert(typeof obj === "object",               "param_object", {name: "obj"});
+    PP.debug.assert(typeof obj.ph_obj === "object" || obj.type === "group", "param_invalid_object", {name: "obj"});
+    PP.debug.assert(typeof type_of_event === "string",     "param_string", {name: "type_of_event"});
+    PP.debug.assert(typeof function_to_call === "function","param_function", {name: "function_to_call"});
+
+    let valid_events = ["pointerdown", "pointerup", "pointerover", "pointerout", "pointermove", "wheel", "dragstart", "drag", "dragend"];
+    PP.debug.assert(valid_events.includes(type_of_event), "param_invalid", {name: "type_of_event"});
+
+    // For groups, the handler is added to every member and remembered for the members added later
+    if (obj.type === "group") {
+        obj.mouse_handlers.push({type_of_event: type_of_event, function_to_call: function_to_call});
+        obj.members.forEach(member => { PP.interactive.mouse.add(member, type_of_event, function_to_call); });
+        return;
+    }
+
+    assert_instance(obj);
+    if (["dragstart", "drag", "dragend"].includes(type_of_event)) {
+        PP.debug.assert(obj.ph_obj.input && obj.ph_obj.input.draggable, "not_draggable");
+    }
+
+    let handler;
+    if (type_of_event === "wheel") {
+        handler = (pointer, delta_x, delta_y) => { call_reporting_errors(function_to_call, obj.ph_obj.scene, obj, delta_y); };
+    } else {
+        handler = () => { call_reporting_errors(function_to_call, obj.ph_obj.scene, obj); };
+    }
+
+    if (obj.mouse_handlers === undefined) {
+        obj.mouse_handlers = [];
+    }
+    obj.mouse_handlers.push({type_of_event: type_of_event, function_to_call: function_to_call, handler: handler});
+
+    obj.ph_obj.setInteractive();
+    obj.ph_obj.on(type_of_event, handler);
+}
+
+/**
+ * Remove an interaction previously added with PP.interactive.mouse.add
+ * @function remove
+ * @memberof PP.interactive.mouse
+ * @param {object}   obj                 The object (or the group) where the interaction was enabled.
+ * @param {string}   type_of_event       The type of interaction to remove (see PP.interactive.mouse.add).
+ * @param {function} [function_to_call]  The callback function to remove. If not specified, all the callbacks of this type of event are removed.
+ */
+PP.interactive.mouse.remove = function(obj, type_of_event, function_to_call) {
+    PP.debug.assert(typeof obj === "object",               "param_object", {name: "obj"});
+    PP.debug.assert(typeof obj.ph_obj === "object" || obj.type === "group", "param_invalid_object", {name: "obj"});
+    PP.debug.assert(typeof type_of_event === "string",     "param_string", {name: "type_of_event"});
+    PP.debug.assert(function_to_call === undefined || typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    if (obj.type === "group") {
+        obj.mouse_handlers = obj.mouse_handlers.filter(h => h.type_of_event !== type_of_event ||
+                                                            (function_to_call !== undefined && h.function_to_call !== function_to_call));
+        obj.members.forEach(member => { PP.interactive.mouse.remove(member, type_of_event, function_to_call); });
+        return;
+    }
+
+    if (obj.mouse_handlers === undefined) {
+        return;
+    }
+
+    obj.mouse_handlers = obj.mouse_handlers.filter(h => {
+        if (h.type_of_event !== type_of_event || (function_to_call !== undefined && h.function_to_call !== function_to_call)) {
+            return true;
+        }
+        obj.ph_obj.off(type_of_event, h.handler);
+        return false;
+    });
+}
+
+/**
+ * Allow or forbid the user to drag an object with the mouse. A draggable object follows the pointer while it is dragged.
+ * @function set_draggable
+ * @memberof PP.interactive.mouse
+ * @param {object}   obj        The object to make draggable.
+ * @param {boolean}  draggable  True if the object can be dragged, false otherwise.
+ */
+PP.interactive.mouse.set_draggable = function(obj, draggable) {
+    PP.debug.assert(typeof obj === "object",          "param_object", {name: "obj"});
+    PP.debug.assert(typeof obj.ph_obj === "object",   "param_invalid_object", {name: "obj"});
+    PP.debug.assert(typeof draggable === "boolean",   "param_boolean", {name: "draggable"});
+
+    obj.ph_obj.setInteractive();
+    obj.ph_obj.scene.input.setDraggable(obj.ph_obj, draggable);
+
+    // The handler moving the object is registered only once
+    if (draggable && obj.drag_handler === undefined) {
+        obj.drag_handler = (pointer, drag_x, drag_y) => { obj.ph_obj.setPosition(drag_x, drag_y); };
+        obj.ph_obj.on("drag", obj.drag_handler);
+    }
+}
+
+/**
+ * Add a new interaction with the whole scene, not bound to any object (e.g. a click anywhere on the canvas).
+ * @function add_scene
+ * @memberof PP.interactive.mouse
+ * @param {object}   scene             The scene where the interaction will be enabled.
+ * @param {string}   type_of_event     Identify the type of interaction. It can be: "pointerdown", "pointerup", "pointermove", "wheel".
+ * @param {function} function_to_call  Callback function to call when an event occurred. The function must accept one parameter: the current scene. For "wheel" events, a second parameter contains the vertical scroll amount (positive when scrolling down).
+ */
+PP.interactive.mouse.add_scene = function(scene, type_of_event, function_to_call) {
+    PP.debug.assert(typeof scene === "object",             "param_scene", {name: "scene"});
+    PP.debug.assert(typeof type_of_event === "string",     "param_string", {name: "type_of_event"});
+    PP.debug.assert(typeof function_to_call === "function","param_function", {name: "function_to_call"});
+
+    let valid_events = ["pointerdown", "pointerup", "pointermove", "wheel"];
+    PP.debug.assert(valid_events.includes(type_of_event), "param_invalid", {name: "type_of_event"});
+
+    let handler;
+    if (type_of_event === "wheel") {
+        handler = (pointer, over, delta_x, delta_y) => { call_reporting_errors(function_to_call, scene, delta_y); };
+    } else {
+        handler = () => { call_reporting_errors(function_to_call, scene); };
+    }
+
+    if (scene.pp_mouse_handlers === undefined) {
+        scene.pp_mouse_handlers = [];
+    }
+    scene.pp_mouse_handlers.push({type_of_event: type_of_event, function_to_call: function_to_call, handler: handler});
+
+    scene.input.on(type_of_event, handler);
+}
+
+/**
+ * Remove an interaction previously added with PP.interactive.mouse.add_scene
+ * @function remove_scene
+ * @memberof PP.interactive.mouse
+ * @param {object}   scene               The scene where the interaction was enabled.
+ * @param {string}   type_of_event       The type of interaction to remove (see PP.interactive.mouse.add_scene).
+ * @param {function} [function_to_call]  The callback function to remove. If not specified, all the callbacks of this type of event are removed.
+ */
+PP.interactive.mouse.remove_scene = function(scene, type_of_event, function_to_call) {
+    PP.debug.assert(typeof scene === "object",             "param_scene", {name: "scene"});
+    PP.debug.assert(typeof type_of_event === "string",     "param_string", {name: "type_of_event"});
+    PP.debug.assert(function_to_call === undefined || typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    if (scene.pp_mouse_handlers === undefined) {
+        return;
+    }
+
+    scene.pp_mouse_handlers = scene.pp_mouse_handlers.filter(h => {
+        if (h.type_of_event !== type_of_event || (function_to_call !== undefined && h.function_to_call !== function_to_call)) {
+            return true;
+        }
+        scene.input.off(type_of_event, h.handler);
+        return false;
+    });
+}
+
+/**
+ * Get the current horizontal position of the mouse pointer.
+ * @function get_x
+ * @memberof PP.interactive.mouse
+ * @param {object}   scene  The current scene.
+ * @return {number} The horizontal position in pixels in the world, i.e. taking into account the scroll and the zoom of the camera (see PP.camera).
+ */
+PP.interactive.mouse.get_x = function(scene) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+
+    // The pointer position is relative to the canvas, the one in the world changes also when the camera moves
+    return scene.input.activePointer.positionToCamera(scene.cameras.main).x;
+}
+
+/**
+ * Get the current vertical position of the mouse pointer.
+ * @function get_y
+ * @memberof PP.interactive.mouse
+ * @param {object}   scene  The current scene.
+ * @return {number} The vertical position in pixels in the world, i.e. taking into account the scroll and the zoom of the camera (see PP.camera).
+ */
+PP.interactive.mouse.get_y = function(scene) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+
+    // The pointer position is relative to the canvas, the one in the world changes also when the camera moves
+    return scene.input.activePointer.positionToCamera(scene.cameras.main).y;
+}
+
+/**
+ * Check whether a mouse button is currently pressed.
+ * @function is_down
+ * @memberof PP.interactive.mouse
+ * @param {object}   scene  The current scene.
+ * @return {boolean} True if a button is pressed, false otherwise.
+ */
+PP.interactive.mouse.is_down = function(scene) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+
+    return scene.input.activePointer.isDown;
+}
+
+/**
+ * Check whether a key is currently pressed. It is meant to be called in the update function of the scene.
+ * @function is_key_down
+ * @memberof PP.interactive.kb
+ * @param {object}   scene  The current scene.
+ * @param {number}   key    The key to check, one of PP.key_codes (for example PP.key_codes.SPACE).
+ * @return {boolean} True if the key is pressed, false otherwise.
+ */
+PP.interactive.kb.is_key_down = function(scene, key) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(Object.values(PP.key_codes).includes(key), "param_key", {name: "key"});
+
+    return scene.input.keyboard.addKey(key).isDown;
+}
+
+/**
+ * Register a function to be called when a key is pressed.
+ * @function on_key_down
+ * @memberof PP.interactive.kb
+ * @param {object}   scene             The current scene.
+ * @param {number}   key               The key to listen to, one of PP.key_codes (for example PP.key_codes.SPACE).
+ * @param {function} function_to_call  Callback function to call when the key is pressed. The function must accept one parameter: the current scene.
+ */
+PP.interactive.kb.on_key_down = function(scene, key, function_to_call) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(Object.values(PP.key_codes).includes(key), "param_key", {name: "key"});
+    PP.debug.assert(typeof function_to_call === "function","param_function", {name: "function_to_call"});
+
+    scene.input.keyboard.addKey(key).on("down", () => { call_reporting_errors(function_to_call, scene); });
+}
+
+/**
+ * Register a function to be called when a key is released.
+ * @function on_key_up
+ * @memberof PP.interactive.kb
+ * @param {object}   scene             The current scene.
+ * @param {number}   key               The key to listen to, one of PP.key_codes (for example PP.key_codes.SPACE).
+ * @param {function} function_to_call  Callback function to call when the key is released. The function must accept one parameter: the current scene.
+ */
+PP.interactive.kb.on_key_up = function(scene, key, function_to_call) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(Object.values(PP.key_codes).includes(key), "param_key", {name: "key"});
+    PP.debug.assert(typeof function_to_call === "function","param_function", {name: "function_to_call"});
+
+    scene.input.keyboard.addKey(key).on("up", () => { call_reporting_errors(function_to_call, scene); });
+}
+
+
+/************* PHYSICS *************/
+
+/**
+ * Enable the physics on an image or sprite instance, giving it a physics body.
+ * Dynamic bodies are moved by velocity, acceleration and gravity, while static bodies never move (e.g. floors and walls).
+ * @function add
+ * @memberof PP.physics
+ * @param {object}   scene         The scene object where the instance has been added.
+ * @param {object}   instance      The object of an instance returned by PP.assets.image.add or PP.assets.sprite.add
+ * @param {string}   physics_type  The type of the body: PP.physics.type.DYNAMIC or PP.physics.type.STATIC.
+ */
+PP.physics.add = function(scene, instance, physics_type) {
+    PP.debug.assert(typeof scene === "object",           "param_scene", {name: "scene"});
+    assert_instance(instance, "instance");
+    PP.debug.assert(physics_type === PP.physics.type.DYNAMIC || physics_type === PP.physics.type.STATIC,
+                    "param_physics_type", {name: "physics_type"});
+    PP.debug.assert(instance.physics_type === undefined, "already_has_body");
+
+    scene.physics.add.existing(instance.ph_obj, physics_type === PP.physics.type.STATIC);
+    instance.physics_type = physics_type;
+}
+
+/**
+ * Set the velocity of a dynamic body along the horizontal axis.
+ * @function set_velocity_x
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {number}   value     The velocity in pixels per second. Positive values move to the right.
+ */
+PP.physics.set_velocity_x = function(instance, value) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof value === "number", "param_number", {name: "value"});
+
+    instance.ph_obj.body.setVelocityX(value);
+}
+
+/**
+ * Set the velocity of a dynamic body along the vertical axis.
+ * @function set_velocity_y
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {number}   value     The velocity in pixels per second. Positive values move down.
+ */
+PP.physics.set_velocity_y = function(instance, value) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof value === "number", "param_number", {name: "value"});
+
+    instance.ph_obj.body.setVelocityY(value);
+}
+
+/**
+ * Get the velocity of a dynamic body along the horizontal axis.
+ * @function get_velocity_x
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @return {number} The velocity in pixels per second.
+ */
+PP.physics.get_velocity_x = function(instance) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+
+    return instance.ph_obj.body.velocity.x;
+}
+
+/**
+ * Get the velocity of a dynamic body along the vertical axis.
+ * @function get_velocity_y
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @return {number} The velocity in pixels per second.
+ */
+PP.physics.get_velocity_y = function(instance) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+
+    return instance.ph_obj.body.velocity.y;
+}
+
+/**
+ * Set the acceleration of a dynamic body along the horizontal axis.
+ * @function set_acceleration_x
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {number}   value     The acceleration in pixels per second squared.
+ */
+PP.physics.set_acceleration_x = function(instance, value) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof value === "number", "param_number", {name: "value"});
+
+    instance.ph_obj.body.setAccelerationX(value);
+}
+
+/**
+ * Set the acceleration of a dynamic body along the vertical axis.
+ * @function set_acceleration_y
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {number}   value     The acceleration in pixels per second squared.
+ */
+PP.physics.set_acceleration_y = function(instance, value) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof value === "number", "param_number", {name: "value"});
+
+    instance.ph_obj.body.setAccelerationY(value);
+}
+
+/**
+ * Get the acceleration of a dynamic body along the horizontal axis.
+ * @function get_acceleration_x
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @return {number} The acceleration in pixels per second squared.
+ */
+PP.physics.get_acceleration_x = function(instance) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+
+    return instance.ph_obj.body.acceleration.x;
+}
+
+/**
+ * Get the acceleration of a dynamic body along the vertical axis.
+ * @function get_acceleration_y
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @return {number} The acceleration in pixels per second squared.
+ */
+PP.physics.get_acceleration_y = function(instance) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+
+    return instance.ph_obj.body.acceleration.y;
+}
+
+/**
+ * Set how much a dynamic body bounces after a collision.
+ * @function set_bounce
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {number}   bounce_x  The horizontal bounce, from 0 (no bounce) to 1 (full bounce).
+ * @param {number}   bounce_y  The vertical bounce, from 0 (no bounce) to 1 (full bounce).
+ */
+PP.physics.set_bounce = function(instance, bounce_x, bounce_y) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof bounce_x === "number", "param_number", {name: "bounce_x"});
+    PP.debug.assert(typeof bounce_y === "number", "param_number", {name: "bounce_y"});
+
+    PP.debug.assert(bounce_x >= 0 && bounce_x <= 1, "param_between_0_1", {name: "bounce_x"});
+    PP.debug.assert(bounce_y >= 0 && bounce_y <= 1, "param_between_0_1", {name: "bounce_y"});
+
+    instance.ph_obj.body.setBounce(bounce_x, bounce_y);
+}
+
+/**
+ * Get the bounce of a dynamic body.
+ * @function get_bounce
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @return {object} An object with the horizontal (x) and vertical (y) bounce.
+ */
+PP.physics.get_bounce = function(instance) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+
+    return {x: instance.ph_obj.body.bounce.x, y: instance.ph_obj.body.bounce.y};
+}
+
+/**
+ * Set whether a dynamic body can be pushed by other bodies during a collision.
+ * An immovable body still moves according to its own velocity, but it is never pushed away.
+ * @function set_immovable
+ * @memberof PP.physics
+ * @param {object}   instance   The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {boolean}  immovable  True if the body cannot be pushed, false otherwise.
+ */
+PP.physics.set_immovable = function(instance, immovable) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof immovable === "boolean", "param_boolean", {name: "immovable"});
+
+    instance.ph_obj.body.setImmovable(immovable);
+}
+
+/**
+ * Check whether a body can be pushed by other bodies. Static bodies are always immovable.
+ * @function get_immovable
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a physics body (see PP.physics.add).
+ * @return {boolean} True if the body cannot be pushed, false otherwise.
+ */
+PP.physics.get_immovable = function(instance) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type !== undefined, "param_no_body", {name: "instance"});
+
+    return instance.physics_type === PP.physics.type.STATIC || instance.ph_obj.body.immovable;
+}
+
+/**
+ * Set whether the world gravity affects a dynamic body.
+ * @function set_allow_gravity
+ * @memberof PP.physics
+ * @param {object}   instance       The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {boolean}  allow_gravity  True if the gravity applies to the body, false otherwise.
+ */
+PP.physics.set_allow_gravity = function(instance, allow_gravity) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof allow_gravity === "boolean", "param_boolean", {name: "allow_gravity"});
+
+    instance.ph_obj.body.setAllowGravity(allow_gravity);
+}
+
+/**
+ * Set whether a dynamic body is blocked at the borders of the canvas.
+ * @function set_collide_world_bounds
+ * @memberof PP.physics
+ * @param {object}   instance  The object of an instance with a dynamic body (see PP.physics.add).
+ * @param {boolean}  collide   True if the body cannot exit the canvas, false otherwise.
+ */
+PP.physics.set_collide_world_bounds = function(instance, collide) {
+    assert_instance(instance, "instance");
+    PP.debug.assert(instance.physics_type === PP.physics.type.DYNAMIC, "param_no_dynamic_body", {name: "instance"});
+    PP.debug.assert(typeof collide === "boolean", "param_boolean", {name: "collide"});
+
+    instance.ph_obj.body.setCollideWorldBounds(collide);
+}
+
+/**
+ * Make two instances (or two arrays of instances) collide, i.e. they cannot overlap and they are separated when touching.
+ * @function add_collider
+ * @memberof PP.physics
+ * @param {object}   scene             The scene object where the instances have been added.
+ * @param {object}   obj1              An instance with a physics body, an array of them or a group (see PP.groups.create).
+ * @param {object}   obj2              An instance with a physics body, an array of them, a group or a tilemap layer (see PP.assets.tilemap.set_solid).
+ * @param {function} [function_to_call] Callback function to call on each collision. The function must accept three parameters: the current scene, the instance of obj1 and the instance of obj2 that collided. For tilemap layers, the instance is replaced by an object with the index, col and row of the tile.
+ */
+PP.physics.add_collider = function(scene, obj1, obj2, function_to_call) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    assert_instances(obj1, "obj1");
+    assert_instances(obj2, "obj2");
+    PP.debug.assert(function_to_call === undefined || typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    scene.physics.add.collider(to_ph_objs(obj1), to_ph_objs(obj2), (ph_obj1, ph_obj2) => {
+        if (function_to_call) {
+            call_collision_callback(scene, obj1, obj2, ph_obj1, ph_obj2, function_to_call);
+        }
+    });
+}
+
+/**
+ * Detect when two instances (or two arrays of instances) overlap, without separating them (e.g. a player picking up a coin).
+ * @function add_overlap
+ * @memberof PP.physics
+ * @param {object}   scene             The scene object where the instances have been added.
+ * @param {object}   obj1              An instance with a physics body, an array of them or a group (see PP.groups.create).
+ * @param {object}   obj2              An instance with a physics body, an array of them or a group (see PP.groups.create).
+ * @param {function} function_to_call  Callback function to call on each overlap. The function must accept three parameters: the current scene, the instance of obj1 and the instance of obj2 that overlapped.
+ */
+PP.physics.add_overlap = function(scene, obj1, obj2, function_to_call) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    assert_instances(obj1, "obj1");
+    assert_instances(obj2, "obj2");
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    scene.physics.add.overlap(to_ph_objs(obj1), to_ph_objs(obj2), (ph_obj1, ph_obj2) => {
+        call_collision_callback(scene, obj1, obj2, ph_obj1, ph_obj2, function_to_call);
+    });
+}
+
+
+/************* GROUPS *************/
+
+// Remove from the group the members destroyed in the meanwhile (e.g. with PP.game_object.destroy).
+// The arrays are modified in place because Phaser colliders keep a reference to group.ph_objs.
+const prune_group = (group) => {
+    for (let i = group.members.length - 1; i >= 0; i--) {
+        if (group.members[i].destroyed || !group.members[i].ph_obj.scene) {
+            group.members.splice(i, 1);
+            group.ph_objs.splice(i, 1);
+        }
+    }
+};
+
+/**
+ * Create a new empty group. A group can be passed to PP.physics.add_collider, PP.physics.add_overlap and
+ * PP.interactive.mouse.add in place of an instance, and it applies to all its members.
+ * @function create
+ * @memberof PP.groups
+ * @param {object}   scene           The scene object where the group will be used.
+ * @param {string}   [physics_type]  If specified (PP.physics.type.DYNAMIC or PP.physics.type.STATIC), the members without a physics body get one of this type when added.
+ * @return A group object.
+ */
+PP.groups.create = function(scene, physics_type) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(physics_type === undefined || physics_type === PP.physics.type.DYNAMIC || physics_type === PP.physics.type.STATIC,
+                    "param_physics_type", {name: "physics_type"});
+
+    return {type: "group", scene: scene, physics_type: physics_type, members: [], ph_objs: [], mouse_handlers: []};
+}
+
+/**
+ * Add an instance to a group.
+ * @function add
+ * @memberof PP.groups
+ * @param {object}   group     The object of a group returned by PP.groups.create
+ * @param {object}   obj       The object of the instance to add.
+ */
+PP.groups.add = function(group, obj) {
+    PP.debug.assert(typeof group === "object" && group.type === "group", "param_group", {name: "group"});
+    assert_instance(obj);
+    PP.debug.assert(!group.members.includes(obj), "already_group_member");
+
+    if (group.physics_type !== undefined && obj.physics_type === undefined) {
+        PP.physics.add(group.scene, obj, group.physics_type);
+    }
+
+    group.members.push(obj);
+    group.ph_objs.push(obj.ph_obj);
+
+    group.mouse_handlers.forEach(h => { PP.interactive.mouse.add(obj, h.type_of_event, h.function_to_call); });
+}
+
+/**
+ * Remove an instance from a group. The instance is not destroyed.
+ * @function remove
+ * @memberof PP.groups
+ * @param {object}   group     The object of a group returned by PP.groups.create
+ * @param {object}   obj       The object of the instance to remove.
+ */
+PP.groups.remove = function(group, obj) {
+    PP.debug.assert(typeof group === "object" && group.type === "group", "param_group", {name: "group"});
+    PP.debug.assert(typeof obj === "object", "param_object", {name: "obj"});
+
+    let index = group.members.indexOf(obj);
+    PP.debug.assert(index >= 0, "not_group_member");
+
+    group.members.splice(index, 1);
+    group.ph_objs.splice(index, 1);
+
+    group.mouse_handlers.forEach(h => { PP.interactive.mouse.remove(obj, h.type_of_event, h.function_to_call); });
+}
+
+/**
+ * Get a sprite instance of the group, reusing one released with PP.groups.release if available, or creating
+ * a new one with PP.assets.sprite.add otherwise (e.g. to shoot a bullet). The sprite is moved to the given position,
+ * made visible and, if it has a physics body, its velocity is reset.
+ * @function spawn
+ * @memberof PP.groups
+ * @param {object}   group     The object of a group returned by PP.groups.create
+ * @param {object}   sprite    The object of a sprite as returned by PP.assets.sprite.load_spritesheet
+ * @param {number}   x         The horizontal position in pixels of the sprite.
+ * @param {number}   y         The vertical position in pixels of the sprite.
+ * @param {number}   pivot_x   The pivot X position **in percentage ** from 0 to 1.
+ * @param {number}   pivot_y   The pivot Y position **in percentage ** from 0 to 1.
+ * @return The sprite instance, as returned by PP.assets.sprite.add.
+ */
+PP.groups.spawn = function(group, sprite, x, y, pivot_x, pivot_y) {
+    PP.debug.assert(typeof group === "object" && group.type === "group", "param_group", {name: "group"});
+    PP.debug.assert(typeof sprite === "object" && sprite.type === "sprite", "param_sprite_object", {name: "sprite"});
+    PP.debug.assert(typeof x === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof pivot_x === "number", "param_number", {name: "pivot_x"});
+    PP.debug.assert(typeof pivot_y === "number", "param_number", {name: "pivot_y"});
+
+    prune_group(group);
+
+    let obj = group.members.find(member => !member.ph_obj.active && member.orig_sprite !== undefined && member.orig_sprite.id === sprite.id);
+
+    if (obj === undefined) {
+        obj = PP.assets.sprite.add(group.scene, sprite, x, y, pivot_x, pivot_y);
+        PP.groups.add(group, obj);
+        return obj;
+    }
+
+    obj.ph_obj.setActive(true);
+    obj.ph_obj.setVisible(true);
+    obj.ph_obj.setOrigin(pivot_x, pivot_y);
+    obj.ph_obj.setPosition(x, y);
+
+    if (obj.physics_type !== undefined) {
+        obj.ph_obj.body.enable = true;
+        if (obj.physics_type === PP.physics.type.STATIC) {
+            obj.ph_obj.body.updateFromGameObject();
+        } else {
+            obj.ph_obj.body.reset(x, y);
+        }
+    }
+
+    return obj;
+}
+
+/**
+ * Deactivate a member of the group, so that it can be reused by PP.groups.spawn (e.g. a bullet that left the screen).
+ * A released instance is hidden, does not collide and is skipped by PP.groups.for_each.
+ * @function release
+ * @memberof PP.groups
+ * @param {object}   group     The object of a group returned by PP.groups.create
+ * @param {object}   obj       The object of the instance to release.
+ */
+PP.groups.release = function(group, obj) {
+    PP.debug.assert(typeof group === "object" && group.type === "group", "param_group", {name: "group"});
+    assert_instance(obj);
+    PP.debug.assert(group.members.includes(obj), "not_group_member");
+
+    obj.ph_obj.setActive(false);
+    obj.ph_obj.setVisible(false);
+
+    if (obj.physics_type === PP.physics.type.DYNAMIC) {
+        obj.ph_obj.body.stop();
+    }
+    if (obj.physics_type !== undefined) {
+        obj.ph_obj.body.enable = false;
+    }
+}
+
+/**
+ * Call a function for each active member of the group (i.e. not released and not destroyed).
+ * @function for_each
+ * @memberof PP.groups
+ * @param {object}   group             The object of a group returned by PP.groups.create
+ * @param {function} function_to_call  The function to call. The function must accept two parameters: the current scene and the member.
+ */
+PP.groups.for_each = function(group, function_to_call) {
+    PP.debug.assert(typeof group === "object" && group.type === "group", "param_group", {name: "group"});
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    prune_group(group);
+
+    // Copy the list, so that the function can safely add, remove or release members
+    group.members.filter(member => member.ph_obj.active).forEach(member => {
+        if (!member.destroyed) {
+            function_to_call(group.scene, member);
+        }
+    });
+}
+
+/**
+ * Count the active members of the group (i.e. not released and not destroyed).
+ * @function count_active
+ * @memberof PP.groups
+ * @param {object}   group     The object of a group returned by PP.groups.create
+ * @return {number} The number of active members.
+ */
+PP.groups.count_active = function(group) {
+    PP.debug.assert(typeof group === "object" && group.type === "group", "param_group", {name: "group"});
+
+    prune_group(group);
+
+    return group.members.filter(member => member.ph_obj.active).length;
+}
+
+
+/************* CAMERA *************/
+
+/**
+ * Make the camera follow an instance (e.g. the player), keeping it at the center of the canvas.
+ * @function follow
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ * @param {object}   obj       The object of the instance to follow.
+ * @param {number}   [lerp]    How fast the camera reaches the instance, from 0 (never) to 1 (immediately). Lower values give a smoother movement. Default is 1.
+ */
+PP.camera.follow = function(scene, obj, lerp = 1) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    assert_instance(obj);
+    PP.debug.assert(typeof lerp === "number", "param_number", {name: "lerp"});
+    PP.debug.assert(lerp > 0 && lerp <= 1, "param_between_0_excluded_1", {name: "lerp"});
+
+    scene.cameras.main.startFollow(obj.ph_obj, true, lerp, lerp);
+}
+
+/**
+ * Stop following the instance set with PP.camera.follow. The camera remains where it is.
+ * @function stop_follow
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ */
+PP.camera.stop_follow = function(scene) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+
+    scene.cameras.main.stopFollow();
+}
+
+/**
+ * Set the size of the world, which can be larger than the canvas. The camera never shows anything outside the world,
+ * and the physics bodies colliding with the world bounds (see PP.physics.set_collide_world_bounds) cannot exit it.
+ * @function set_world_bounds
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ * @param {number}   x         The horizontal position in pixels of the top-left corner of the world (usually 0).
+ * @param {number}   y         The vertical position in pixels of the top-left corner of the world (usually 0).
+ * @param {number}   width     The width in pixels of the world.
+ * @param {number}   height    The height in pixels of the world.
+ */
+PP.camera.set_world_bounds = function(scene, x, y, width, height) {
+    PP.debug.assert(typeof scene  === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x      === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y      === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof width  === "number", "param_number", {name: "width"});
+    PP.debug.assert(typeof height === "number", "param_number", {name: "height"});
+    PP.debug.assert(width > 0 && height > 0, "param_size_positive");
+
+    scene.cameras.main.setBounds(x, y, width, height);
+    scene.physics.world.setBounds(x, y, width, height);
+}
+
+/**
+ * Move the camera so that the given point of the world is shown at the top-left corner of the canvas.
+ * @function scroll_to
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ * @param {number}   x         The horizontal position in pixels of the world.
+ * @param {number}   y         The vertical position in pixels of the world.
+ */
+PP.camera.scroll_to = function(scene, x, y) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof x     === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y     === "number", "param_number", {name: "y"});
+
+    scene.cameras.main.setScroll(x, y);
+}
+
+/**
+ * Get the position of the world currently shown at the top-left corner of the canvas.
+ * @function get_scroll
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ * @return {object} An object with the horizontal (x) and vertical (y) position in pixels.
+ */
+PP.camera.get_scroll = function(scene) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+
+    return {x: scene.cameras.main.scrollX, y: scene.cameras.main.scrollY};
+}
+
+/**
+ * Zoom the camera in or out.
+ * @function zoom
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ * @param {number}   zoom      The zoom factor: 1 is the normal view, 2 shows everything twice as big, 0.5 half as big.
+ */
+PP.camera.zoom = function(scene, zoom) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof zoom  === "number", "param_number", {name: "zoom"});
+    PP.debug.assert(zoom > 0, "param_not_positive", {name: "zoom"});
+
+    scene.cameras.main.setZoom(zoom);
+}
+
+/**
+ * Shake the camera (e.g. for an explosion or when the player is hit).
+ * @function shake
+ * @memberof PP.camera
+ * @param {object}   scene        The current scene.
+ * @param {number}   duration     The duration of the effect in milliseconds.
+ * @param {number}   [intensity]  The strength of the shake, as a fraction of the canvas size. Default is 0.01.
+ */
+PP.camera.shake = function(scene, duration, intensity = 0.01) {
+    PP.debug.assert(typeof scene     === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof duration  === "number", "param_number", {name: "duration"});
+    PP.debug.assert(typeof intensity === "number", "param_number", {name: "intensity"});
+    PP.debug.assert(duration > 0, "param_not_positive", {name: "duration"});
+
+    scene.cameras.main.shake(duration, intensity);
+}
+
+/**
+ * Flash the canvas with a color, which then quickly disappears.
+ * @function flash
+ * @memberof PP.camera
+ * @param {object}   scene     The current scene.
+ * @param {number}   duration  The duration of the effect in milliseconds.
+ * @param {number}   [color]   The color of the flash in RGB HEX format. Default is white (0xFFFFFF).
+ */
+PP.camera.flash = function(scene, duration, color = 0xFFFFFF) {
+    PP.debug.assert(typeof scene    === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof duration === "number", "param_number", {name: "duration"});
+    PP.debug.assert(typeof color    === "number", "param_number", {name: "color"});
+    PP.debug.assert(duration > 0, "param_not_positive", {name: "duration"});
+    PP.debug.assert(color >= 0 && color <= 0xFFFFFF, "param_color", {name: "color"});
+
+    scene.cameras.main.flash(duration, (color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+}
+
+/**
+ * Progressively show the scene starting from a solid color (e.g. at the beginning of a level).
+ * @function fade_in
+ * @memberof PP.camera
+ * @param {object}   scene               The current scene.
+ * @param {number}   duration            The duration of the effect in milliseconds.
+ * @param {number}   [color]             The starting color in RGB HEX format. Default is black (0x000000).
+ * @param {function} [function_to_call]  Callback function to call when the effect is complete. The function must accept one parameter: the current scene.
+ */
+PP.camera.fade_in = function(scene, duration, color = 0x000000, function_to_call) {
+    PP.debug.assert(typeof scene    === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof duration === "number", "param_number", {name: "duration"});
+    PP.debug.assert(typeof color    === "number", "param_number", {name: "color"});
+    PP.debug.assert(function_to_call === undefined || typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+    PP.debug.assert(duration > 0, "param_not_positive", {name: "duration"});
+    PP.debug.assert(color >= 0 && color <= 0xFFFFFF, "param_color", {name: "color"});
+
+    if (function_to_call !== undefined) {
+        scene.cameras.main.once("camerafadeincomplete", () => { function_to_call(scene); });
+    }
+    scene.cameras.main.fadeIn(duration, (color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+}
+
+/**
+ * Progressively hide the scene into a solid color (e.g. before starting another scene in the callback).
+ * @function fade_out
+ * @memberof PP.camera
+ * @param {object}   scene               The current scene.
+ * @param {number}   duration            The duration of the effect in milliseconds.
+ * @param {number}   [color]             The final color in RGB HEX format. Default is black (0x000000).
+ * @param {function} [function_to_call]  Callback function to call when the effect is complete. The function must accept one parameter: the current scene.
+ */
+PP.camera.fade_out = function(scene, duration, color = 0x000000, function_to_call) {
+    PP.debug.assert(typeof scene    === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof duration === "number", "param_number", {name: "duration"});
+    PP.debug.assert(typeof color    === "number", "param_number", {name: "color"});
+    PP.debug.assert(function_to_call === undefined || typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+    PP.debug.assert(duration > 0, "param_not_positive", {name: "duration"});
+    PP.debug.assert(color >= 0 && color <= 0xFFFFFF, "param_color", {name: "color"});
+
+    if (function_to_call !== undefined) {
+        scene.cameras.main.once("camerafadeoutcomplete", () => { function_to_call(scene); });
+    }
+    scene.cameras.main.fadeOut(duration, (color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+}
+
+/**
+ * Pin an instance to the canvas, so that it does not move when the camera scrolls (e.g. a score text or a health bar).
+ * The position of a pinned instance is relative to the top-left corner of the canvas.
+ * @function pin
+ * @memberof PP.camera
+ * @param {object}   obj       The object of the instance to pin.
+ * @param {boolean}  pinned    True to pin the instance, false to make it scroll with the world again.
+ */
+PP.camera.pin = function(obj, pinned) {
+    assert_instance(obj);
+    PP.debug.assert(typeof pinned === "boolean", "param_boolean", {name: "pinned"});
+
+    obj.ph_obj.setScrollFactor(pinned ? 0 : 1);
+}
+
+
+/************* TWEENS *************/
+
+/**
+ * Animate some properties of an instance from their current value to the target value (e.g. a door opening).
+ * Tweens are paused while the scene is paused by an overlay.
+ * @function add
+ * @memberof PP.tweens
+ * @param {object}   scene                 The current scene.
+ * @param {object}   obj                   The object of the instance to animate.
+ * @param {object}   config                The object containing the tween configuration.
+ * @param {number}   [config.x]            The target horizontal position in pixels.
+ * @param {number}   [config.y]            The target vertical position in pixels.
+ * @param {number}   [config.alpha]        The target opacity, from 0 to 1.
+ * @param {number}   [config.angle]        The target rotation in degrees.
+ * @param {number}   [config.scale_x]      The target horizontal scale.
+ * @param {number}   [config.scale_y]      The target vertical scale.
+ * @param {number}   config.duration       The duration of the animation in milliseconds.
+ * @param {string}   [config.easing]       How the values change over time: "linear" (default) or one of "quad", "cubic", "sine", "back", "bounce", "elastic" followed by "_in", "_out" or "_in_out" (e.g. "bounce_out").
+ * @param {boolean}  [config.yoyo]         True if the animation should go back to the starting values after reaching the targets. Default is false.
+ * @param {number}   [config.repeat]       The number of times the animation should repeat. Use -1 for infinite. Default is 0.
+ * @param {number}   [config.delay]        The time in milliseconds to wait before starting. Default is 0.
+ * @param {function} [function_to_call]    Callback function to call when the animation is complete. The function must accept two parameters: the current scene and the animated object.
+ * @return A tween object, to be passed to PP.tweens.stop.
+ */
+PP.tweens.add = function(scene, obj, config, function_to_call) {
+    PP.debug.assert(typeof scene  === "object", "param_scene", {name: "scene"});
+    assert_instance(obj);
+    PP.debug.assert(typeof config === "object", "param_object", {name: "config"});
+    PP.debug.assert(function_to_call === undefined || typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+
+    let valid_options = Object.keys(PP.tweens.properties).concat(["duration", "easing", "yoyo", "repeat", "delay"]);
+    Object.keys(config).forEach(option => {
+        PP.debug.assert(valid_options.includes(option), "param_tween_option", {option: option});
+    });
+
+    let easing = config.easing === undefined ? "linear" : config.easing;
+    PP.debug.assert(typeof config.duration === "number", "param_number", {name: "config.duration"});
+    PP.debug.assert(config.duration > 0, "param_not_positive", {name: "config.duration"});
+    PP.debug.assert(PP.tweens.easings[easing] !== undefined, "param_easing", {name: "config.easing"});
+    PP.debug.assert(config.yoyo   === undefined || typeof config.yoyo   === "boolean", "param_boolean", {name: "config.yoyo"});
+    PP.debug.assert(config.repeat === undefined || typeof config.repeat === "number",  "param_number", {name: "config.repeat"});
+    PP.debug.assert(config.delay  === undefined || typeof config.delay  === "number",  "param_number", {name: "config.delay"});
+    PP.debug.assert(config.repeat === undefined || config.repeat >= -1, "param_less_than_minus_one", {name: "config.repeat"});
+
+    let ph_config = {
+        targets  : obj.ph_obj,
+        duration : config.duration,
+        ease     : PP.tweens.easings[easing],
+        yoyo     : config.yoyo   === undefined ? false : config.yoyo,
+        repeat   : config.repeat === undefined ? 0     : config.repeat,
+        delay    : config.delay  === undefined ? 0     : config.delay,
+    };
+
+    let no_properties = true;
+    Object.keys(PP.tweens.properties).forEach(property => {
+        if (config[property] !== undefined) {
+            PP.debug.assert(typeof config[property] === "number", "param_number", {name: "config." + property});
+            ph_config[PP.tweens.properties[property]] = config[property];
+            no_properties = false;
+        }
+    });
+    PP.debug.assert(!no_properties, "param_tween_properties", {name: "config"});
+
+    if (function_to_call !== undefined) {
+        ph_config.onComplete = () => { function_to_call(scene, obj); };
+    }
+
+    return {ph_obj: scene.tweens.add(ph_config), type: "tween"};
+}
+
+/**
+ * Stop a tween before its end. The animated properties keep their current values and the callback is not called.
+ * @function stop
+ * @memberof PP.tweens
+ * @param {object}   tween   The object of a tween returned by PP.tweens.add
+ */
+PP.tweens.stop = function(tween) {
+    PP.debug.assert(typeof tween === "object" && tween.type === "tween", "param_tween", {name: "tween"});
+
+    tween.ph_obj.stop();
+}
+
+
+/************* TIMERS *************/
+
+/**
+ * Call a function after a delay, optionally repeating it (e.g. spawn an enemy every two seconds).
+ * Timers are paused while the scene is paused by an overlay, and removed when the scene is stopped.
+ * @function add
+ * @memberof PP.timers
+ * @param {object}   scene             The current scene.
+ * @param {number}   delay             The time in milliseconds to wait before calling the function (and between two calls, if repeated).
+ * @param {function} function_to_call  Callback function to call. The function must accept one parameter: the current scene.
+ * @param {number}   [repeat]          The number of times the call should be repeated after the first one. Use -1 for infinite. Default is 0.
+ * @return A timer object, to be passed to the other PP.timers functions.
+ */
+PP.timers.add = function(scene, delay, function_to_call, repeat = 0) {
+    PP.debug.assert(typeof scene === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof delay === "number", "param_number", {name: "delay"});
+    PP.debug.assert(typeof function_to_call === "function", "param_function", {name: "function_to_call"});
+    PP.debug.assert(typeof repeat === "number", "param_number", {name: "repeat"});
+
+    PP.debug.assert(delay > 0, "param_not_positive", {name: "delay"});
+    PP.debug.assert(repeat >= -1, "param_less_than_minus_one", {name: "repeat"});
+
+    let temp_timer = scene.time.addEvent({
+        delay    : delay,
+        callback : () => { function_to_call(scene); },
+        repeat   : repeat
+    });
+
+    return {ph_obj: temp_timer, type: "timer"};
+}
+
+/**
+ * Remove a timer, so that its function is not called anymore.
+ * @function remove
+ * @memberof PP.timers
+ * @param {object}   timer   The object of a timer returned by PP.timers.add
+ */
+PP.timers.remove = function(timer) {
+    PP.debug.assert(typeof timer === "object" && timer.type === "timer", "param_timer", {name: "timer"});
+
+    timer.ph_obj.remove(false);
+}
+
+/**
+ * Pause or resume a timer. A paused timer keeps the time elapsed so far.
+ * @function pause
+ * @memberof PP.timers
+ * @param {object}   timer   The object of a timer returned by PP.timers.add
+ * @param {boolean}  paused  True to pause the timer, false to resume it.
+ */
+PP.timers.pause = function(timer, paused) {
+    PP.debug.assert(typeof timer === "object" && timer.type === "timer", "param_timer", {name: "timer"});
+    PP.debug.assert(typeof paused === "boolean", "param_boolean", {name: "paused"});
+
+    timer.ph_obj.paused = paused;
+}
+
+
+/************* STORAGE *************/
+
+// Get the browser storage, checking that it is available (it may be disabled, e.g. in private browsing).
+const get_local_storage = () => {
+    let storage;
+    try {
+        storage = window.localStorage;
+        storage.getItem("poliphaser");
+    } catch (e) {
+        storage = undefined;
+    }
+    PP.debug.assert(storage, "storage_unavailable");
+    PP.debug.assert(PP.game.config, "storage_before_create");
+    return storage;
+};
+
+// All the keys of the game are prefixed, so that games on the same website do not overwrite each other's data.
+const storage_prefix = () => {
+    let game_name = PP.game.config.game_name !== undefined ? PP.game.config.game_name : PP.game.config.canvas_id;
+    return "poliphaser:" + game_name + ":";
+};
+
+// Check that a value contains only data that can be saved: numbers, strings, booleans, null, arrays and plain objects.
+// The arrays and objects containing the value are kept in seen: a value containing itself cannot be saved.
+const is_serializable = (value, seen = new Set()) => {
+    if (value === null || typeof value === "string" || typeof value === "boolean") {
+        return true;
+    }
+    if (typeof value === "number") {
+        return Number.isFinite(value);
+    }
+    if (seen.has(value)) {
+        return false;
+    }
+    let children;
+    if (Array.isArray(value)) {
+        children = value;
+    } else if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+        children = Object.values(value);
+    } else {
+        return false;
+    }
+    seen.add(value);
+    let result = children.every(child => is_serializable(child, seen));
+    seen.delete(value);
+    return result;
+};
+
+/**
+ * Save a value, which is kept even if the page is reloaded or the browser is closed.
+ * @function save
+ * @memberof PP.storage
+ * @param {string}   key     The name of the value to save (e.g. "high_score").
+ * @param {*}        value   The value to save: a number, a string, a boolean, null, or an array or an object containing only these values. Instances (images, sprites, ...) cannot be saved.
+ */
+PP.storage.save = function(key, value) {
+    PP.debug.assert(typeof key === "string", "param_string", {name: "key"});
+    PP.debug.assert(is_serializable(value), "param_not_serializable", {name: "value"});
+
+    let storage = get_local_storage();
+
+    try {
+        storage.setItem(storage_prefix() + key, JSON.stringify(value));
+    } catch (e) {
+        PP.debug.assert(false, "storage_full", {key: key});
+    }
+}
+
+/**
+ * Load a value previously saved with PP.storage.save.
+ * @function load
+ * @memberof PP.storage
+ * @param {string}   key              The name of the value to load.
+ * @param {*}        [default_value]  The value returned if nothing has been saved with this key yet. Default is undefined.
+ * @return The saved value, or default_value.
+ */
+PP.storage.load = function(key, default_value) {
+    PP.debug.assert(typeof key === "string", "param_string", {name: "key"});
+
+    let item = get_local_storage().getItem(storage_prefix() + key);
+
+    if (item === null) {
+        return default_value;
+    }
+
+    try {
+        return JSON.parse(item);
+    } catch (e) {
+        console.warn(get_message("warn_corrupted_value", {key: key}));
+        return default_value;
+    }
+}
+
+/**
+ * Delete a value previously saved with PP.storage.save.
+ * @function remove
+ * @memberof PP.storage
+ * @param {string}   key     The name of the value to delete.
+ */
+PP.storage.remove = function(key) {
+    PP.debug.assert(typeof key === "string", "param_string", {name: "key"});
+
+    get_local_storage().removeItem(storage_prefix() + key);
+}
+
+/**
+ * Get the names of all the values saved by the game.
+ * @function list_keys
+ * @memberof PP.storage
+ * @return {string[]} The list of the keys.
+ */
+PP.storage.list_keys = function() {
+    let storage = get_local_storage();
+    let prefix  = storage_prefix();
+    let keys    = [];
+
+    for (let i = 0; i < storage.length; i++) {
+        let full_key = storage.key(i);
+        if (full_key.startsWith(prefix)) {
+            keys.push(full_key.substring(prefix.length));
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Delete all the values saved by the game. The data of other games is not affected.
+ * @function clear
+ * @memberof PP.storage
+ */
+PP.storage.clear = function() {
+    PP.storage.list_keys().forEach(key => { PP.storage.remove(key); });
+}
+
+
+/************* PARTICLES *************/
+
+/**
+ * Add a particle emitter to the scene. Each particle is a copy of the given image (or of a frame of the given
+ * spritesheet) that moves and fades during its life. By default, the emitter emits particles continuously at its position;
+ * set options.emitting to false for an emitter used only with PP.particles.explode.
+ * @function add_emitter
+ * @memberof PP.particles
+ * @param {object}   scene                    The current scene.
+ * @param {object}   image                    The object of an image returned by PP.assets.image.load, or of a sprite returned by PP.assets.sprite.load_spritesheet or PP.assets.sprite.load_atlas.
+ * @param {object}   [options]                The object containing the emitter configuration.
+ * @param {number}   [options.x]              The horizontal position of the emitter in pixels. Default is 0.
+ * @param {number}   [options.y]              The vertical position of the emitter in pixels. Default is 0.
+ * @param {number}   [options.zone_width]     The width of the rectangle (starting at the emitter position) where particles are emitted at random points, e.g. the top of the screen for the rain. Default is 0 (particles start at the emitter position).
+ * @param {number}   [options.zone_height]    The height of the emission rectangle. Default is 0.
+ * @param {number}   [options.speed_min]      The minimum speed of the particles in pixels per second. Default is 0.
+ * @param {number}   [options.speed_max]      The maximum speed of the particles in pixels per second. Default is options.speed_min.
+ * @param {number}   [options.angle_min]      The minimum direction of the particles in degrees (0 is right, 90 is down). Default is 0.
+ * @param {number}   [options.angle_max]      The maximum direction of the particles in degrees. Default is 360.
+ * @param {number}   [options.lifespan]       The life of each particle in milliseconds. Default is 1000.
+ * @param {number}   [options.scale_start]    The scale of the particles when they are emitted. Default is 1.
+ * @param {number}   [options.scale_end]      The scale of the particles at the end of their life. Default is options.scale_start.
+ * @param {number}   [options.alpha_start]    The opacity (from 0 to 1) of the particles when they are emitted. Default is 1.
+ * @param {number}   [options.alpha_end]      The opacity of the particles at the end of their life. Default is options.alpha_start.
+ * @param {number}   [options.gravity_x]      The horizontal gravity of the particles, in pixels per second squared. Default is 0.
+ * @param {number}   [options.gravity_y]      The vertical gravity of the particles, in pixels per second squared. Default is 0.
+ * @param {number}   [options.tint]           The color of the particles in RGB HEX format. Default is 0xFFFFFF (no tint).
+ * @param {string}   [options.blend_mode]     How the particles are drawn over what is behind them: "normal" (default), "add" (brighter, good for fire and sparks), "multiply" or "screen".
+ * @param {number}   [options.frequency]      The time in milliseconds between two emissions. Default is 0 (every frame).
+ * @param {number}   [options.quantity]       The number of particles emitted each time. Default is 1.
+ * @param {number|string|array} [options.frame]  The frame of the spritesheet to use, or an array of frames to pick randomly for each particle.
+ * @param {boolean}  [options.emitting]       True if the emitter starts emitting immediately. Default is true.
+ * @return An emitter object, to be passed to the other PP.particles functions. It can be also passed to PP.game_object functions (e.g. PP.game_object.set_depth).
+ */
+PP.particles.add_emitter = function(scene, image, options = {}) {
+    PP.debug.assert(typeof scene   === "object", "param_scene", {name: "scene"});
+    PP.debug.assert(typeof image   === "object" && ["image", "sprite"].includes(image.type), "param_image_or_sprite", {name: "image"});
+    PP.debug.assert(typeof options === "object", "param_object", {name: "options"});
+
+    let number_options = ["x", "y", "zone_width", "zone_height", "speed_min", "speed_max", "angle_min", "angle_max",
+                          "lifespan", "scale_start", "scale_end", "alpha_start", "alpha_end", "gravity_x", "gravity_y",
+                          "tint", "frequency", "quantity"];
+    let valid_options  = number_options.concat(["blend_mode", "frame", "emitting"]);
+    Object.keys(options).forEach(option => {
+        PP.debug.assert(valid_options.includes(option), "param_particle_option", {option: option});
+    });
+    number_options.forEach(option => {
+        PP.debug.assert(options[option] === undefined || typeof options[option] === "number", "param_number", {name: "options." + option});
+    });
+
+    PP.debug.assert(options.lifespan  === undefined || options.lifespan > 0,  "param_not_positive", {name: "options.lifespan"});
+    PP.debug.assert(options.quantity  === undefined || options.quantity > 0,  "param_not_positive", {name: "options.quantity"});
+    PP.debug.assert(options.frequency === undefined || options.frequency >= 0, "param_negative", {name: "options.frequency"});
+    ["alpha_start", "alpha_end"].forEach(option => {
+        PP.debug.assert(options[option] === undefined || (options[option] >= 0 && options[option] <= 1), "param_between_0_1", {name: "options." + option});
+    });
+    PP.debug.assert(options.tint === undefined || (options.tint >= 0 && options.tint <= 0xFFFFFF), "param_color", {name: "options.tint"});
+    PP.debug.assert(options.blend_mode === undefined || PP.particles.blend_modes[options.blend_mode] !== undefined, "param_blend_mode", {name: "options.blend_mode"});
+    PP.debug.assert(options.emitting === undefined || typeof options.emitting === "boolean", "param_boolean", {name: "options.emitting"});
+
+    let ph_config = {
+        angle     : {min: options.angle_min === undefined ? 0 : options.angle_min, max: options.angle_max === undefined ? 360 : options.angle_max},
+        lifespan  : options.lifespan  === undefined ? 1000 : options.lifespan,
+        gravityX  : options.gravity_x === undefined ? 0 : options.gravity_x,
+        gravityY  : options.gravity_y === undefined ? 0 : options.gravity_y,
+        frequency : options.frequency === undefined ? 0 : options.frequency,
+        quantity  : options.quantity  === undefined ? 1 : options.quantity,
+        blendMode : Phaser.BlendModes[PP.particles.blend_modes[options.blend_mode === undefined ? "normal" : options.blend_mode]],
+        emitting  : options.emitting  === undefined ? true : options.emitting
+    };
+
+    // A missing end (or max) value means that the value does not change
+    if (options.speed_min !== undefined || options.speed_max !== undefined) {
+        let speed_min = options.speed_min === undefined ? 0 : options.speed_min;
+        ph_config.speed = {min: speed_min, max: options.speed_max === undefined ? speed_min : options.speed_max};
+    }
+    if (options.scale_start !== undefined || options.scale_end !== undefined) {
+        let scale_start = options.scale_start === undefined ? 1 : options.scale_start;
+        ph_config.scale = {start: scale_start, end: options.scale_end === undefined ? scale_start : options.scale_end};
+    }
+    if (options.alpha_start !== undefined || options.alpha_end !== undefined) {
+        let alpha_start = options.alpha_start === undefined ? 1 : options.alpha_start;
+        ph_config.alpha = {start: alpha_start, end: options.alpha_end === undefined ? alpha_start : options.alpha_end};
+    }
+    if (options.tint !== undefined) {
+        ph_config.tint = options.tint;
+    }
+    if (options.frame !== undefined) {
+        ph_config.frame = options.frame;
+    }
+    if (options.zone_width !== undefined || options.zone_height !== undefined) {
+        let zone = new Phaser.Geom.Rectangle(0, 0, options.zone_width || 0, options.zone_height || 0);
+        ph_config.emitZone = {type: "random", source: zone};
+    }
+
+    // Since Phaser 3.60 the emitter is a game object by itself (there is no particle manager any more)
+    let x = options.x === undefined ? 0 : options.x;
+    let y = options.y === undefined ? 0 : options.y;
+
+    return {ph_obj: scene.add.particles(x, y, image.id, ph_config), type: "emitter"};
+}
+
+/**
+ * Emit some particles at once at a given position, e.g. for an explosion. It works also on stopped emitters.
+ * @function explode
+ * @memberof PP.particles
+ * @param {object}   emitter  The object of an emitter returned by PP.particles.add_emitter
+ * @param {number}   x        The horizontal position of the explosion in pixels.
+ * @param {number}   y        The vertical position of the explosion in pixels.
+ * @param {number}   count    The number of particles to emit.
+ */
+PP.particles.explode = function(emitter, x, y, count) {
+    PP.debug.assert(typeof emitter === "object" && emitter.type === "emitter", "param_emitter", {name: "emitter"});
+    PP.debug.assert(typeof x     === "number", "param_number", {name: "x"});
+    PP.debug.assert(typeof y     === "number", "param_number", {name: "y"});
+    PP.debug.assert(typeof count === "number", "param_number", {name: "count"});
+    PP.debug.assert(count > 0, "param_not_positive", {name: "count"});
+
+    emitter.ph_obj.explode(count, x, y);
+}
+
+/**
+ * Start emitting particles continuously.
+ * @function start
+ * @memberof PP.particles
+ * @param {object}   emitter  The object of an emitter returned by PP.particles.add_emitter
+ */
+PP.particles.start = function(emitter) {
+    PP.debug.assert(typeof emitter === "object" && emitter.type === "emitter", "param_emitter", {name: "emitter"});
+
+    emitter.ph_obj.start();
+}
+
+/**
+ * Stop emitting particles. The particles already emitted live until the end of their life.
+ * @function stop
+ * @memberof PP.particles
+ * @param {object}   emitter  The object of an emitter returned by PP.particles.add_emitter
+ */
+PP.particles.stop = function(emitter) {
+    PP.debug.assert(typeof emitter === "object" && emitter.type === "emitter", "param_emitter", {name: "emitter"});
+
+    emitter.ph_obj.stop();
+}
+
+/**
+ * Make the emitter follow an instance, e.g. the dust behind a running player or the smoke of a rocket.
+ * @function follow
+ * @memberof PP.particles
+ * @param {object}   emitter     The object of an emitter returned by PP.particles.add_emitter
+ * @param {object}   obj         The object of the instance to follow.
+ * @param {number}   [offset_x]  The horizontal distance in pixels of the emitter from the instance. Default is 0.
+ * @param {number}   [offset_y]  The vertical distance in pixels of the emitter from the instance. Default is 0.
+ */
+PP.particles.follow = function(emitter, obj, offset_x = 0, offset_y = 0) {
+    PP.debug.assert(typeof emitter === "object" && emitter.type === "emitter", "param_emitter", {name: "emitter"});
+    assert_instance(obj);
+    PP.debug.assert(typeof offset_x === "number", "param_number", {name: "offset_x"});
+    PP.debug.assert(typeof offset_y === "number", "param_number", {name: "offset_y"});
+
+    emitter.ph_obj.startFollow(obj.ph_obj, offset_x, offset_y);
+}
+
+/**
+ * Stop following the instance set with PP.particles.follow. The emitter stays at its current position.
+ * @function stop_follow
+ * @memberof PP.particles
+ * @param {object}   emitter  The object of an emitter returned by PP.particles.add_emitter
+ */
+PP.particles.stop_follow = function(emitter) {
+    PP.debug.assert(typeof emitter === "object" && emitter.type === "emitter", "param_emitter", {name: "emitter"});
+
+    emitter.ph_obj.stopFollow();
+}
+
+
+/************* RANDOM *************/
+
+// The seed of the random numbers and the current state of the generator. Without PP.random.set_seed, every game uses a different seed.
+const random_state = {seed: Math.floor(Math.random() * 4294967296), value: 0};
+random_state.value = random_state.seed;
+
+// Mulberry32 generator: a number between 0 (included) and 1 (excluded), always the same sequence for the same seed.
+const next_random = () => {
+    random_state.value = (random_state.value + 0x6D2B79F5) >>> 0;
+    let t = random_state.value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Set the seed of the random numbers: after setting the same seed, the functions of PP.random return the same sequence of numbers.
+ * @function set_seed
+ * @memberof PP.random
+ * @param {number}   seed  An integer number.
+ */
+PP.random.set_seed = function(seed) {
+    PP.debug.assert(Number.isInteger(seed), "param_integer", {name: "seed"});
+
+    random_state.seed  = seed >>> 0;
+    random_state.value = random_state.seed;
+}
+
+/**
+ * Get the seed of the random numbers, set with PP.random.set_seed or chosen randomly when the game is loaded.
+ * @function get_seed
+ * @memberof PP.random
+ * @return {number} The current seed.
+ */
+PP.random.get_seed = function() {
+    return random_state.seed;
+}
+
+/**
+ * Get a random decimal number. Use it instead of Math.random, so that the game can be replayed (see PP.replay).
+ * @function number
+ * @memberof PP.random
+ * @param {number}   [min]  The minimum value (included). Default is 0.
+ * @param {number}   [max]  The maximum value (excluded). Default is 1.
+ * @return {number} A random number between min and max.
+ */
+PP.random.number = function(min = 0, max = 1) {
+    PP.debug.assert(typeof min === "number", "param_number", {name: "min"});
+    PP.debug.assert(typeof max === "number", "param_number", {name: "max"});
+    PP.debug.assert(max >= min, "param_max_less_than_min");
+
+    return min + next_random() * (max - min);
+}
+
+/**
+ * Get a random integer number, e.g. PP.random.integer(1, 6) to roll a dice.
+ * @function integer
+ * @memberof PP.random
+ * @param {number}   min  The minimum value (included).
+ * @param {number}   max  The maximum value (included).
+ * @return {number} A random integer between min and max.
+ */
+PP.random.integer = function(min, max) {
+    PP.debug.assert(Number.isInteger(min), "param_integer", {name: "min"});
+    PP.debug.assert(Number.isInteger(max), "param_integer", {name: "max"});
+    PP.debug.assert(max >= min, "param_max_less_than_min");
+
+    return min + Math.floor(next_random() * (max - min + 1));
+}
+
+/**
+ * Get a random element of an array, e.g. the next enemy to spawn.
+ * @function pick
+ * @memberof PP.random
+ * @param {array}    array  A non-empty array.
+ * @return A random element of the array.
+ */
+PP.random.pick = function(array) {
+    PP.debug.assert(Array.isArray(array) && array.length > 0, "param_non_empty_array", {name: "array"});
+
+    return array[Math.floor(next_random() * array.length)];
+}
+
+
+/************* REPLAY *************/
+
+// The recording in progress (if any) and the one being replayed, with the index of its next frame.
+const replay_state = {recording: null, playing: null, next_frame: 0};
+
+// The state of the mouse and of the keyboard seen by a scene.
+const read_input = (scene) => {
+    let pointer = scene.input.activePointer;
+    let keys    = Object.values(scene.input.keyboard.keys).filter(key => key && key.isDown).map(key => key.keyCode);
+    return {x: pointer.x, y: pointer.y, down: pointer.isDown, keys: keys};
+};
+
+// Emit the mouse events of the objects (see PP.interactive.mouse.add) as Phaser does with the real mouse: they go to the
+// topmost interactive object under the pointer, and a draggable object follows the pointer while the button is pressed.
+const write_object_input = (scene, pointer, moved, clicked) => {
+    if (scene.pp_replay === undefined) {
+        scene.pp_replay = {over: null, drag: null};
+    }
+    let state = scene.pp_replay;
+    // Forget the objects destroyed in the meantime
+    if (state.over !== null && state.over.scene === undefined) {
+        state.over = null;
+    }
+    if (state.drag !== null && state.drag.ph_obj.scene === undefined) {
+        state.drag = null;
+    }
+
+    // The hit test also updates the world position of the pointer
+    let hit = scene.input.sortGameObjects(scene.input.hitTestPointer(pointer), pointer);
+    let top = hit.length > 0 ? hit[0] : null;
+
+    if (top !== state.over) {
+        if (state.over !== null) {
+            state.over.emit("pointerout", pointer);
+        }
+        if (top !== null) {
+            top.emit("pointerover", pointer);
+        }
+        state.over = top;
+    }
+    if (moved && top !== null) {
+        top.emit("pointermove", pointer);
+    }
+    if (moved && state.drag !== null) {
+        state.drag.ph_obj.emit("drag", pointer, pointer.worldX - state.drag.offset_x, pointer.worldY - state.drag.offset_y);
+    }
+    if (clicked && pointer.isDown && top !== null) {
+        top.emit("pointerdown", pointer);
+        if (top.input.draggable) {
+            state.drag = {ph_obj: top, offset_x: pointer.worldX - top.x, offset_y: pointer.worldY - top.y};
+            top.emit("dragstart", pointer, top.x, top.y);
+        }
+    }
+    if (clicked && !pointer.isDown) {
+        if (top !== null) {
+            top.emit("pointerup", pointer);
+        }
+        if (state.drag !== null) {
+            state.drag.ph_obj.emit("dragend", pointer, state.drag.ph_obj.x, state.drag.ph_obj.y);
+            state.drag = null;
+        }
+    }
+};
+
+// Make a scene see a recorded input, emitting the events of the mouse and of the keys that changed since the previous frame.
+const write_input = (scene, input) => {
+    let pointer = scene.input.activePointer;
+    let moved   = pointer.x !== input.x || pointer.y !== input.y;
+    let clicked = pointer.isDown !== input.down;
+    Object.assign(pointer, {x: input.x, y: input.y, isDown: input.down});
+
+    // As in Phaser, the objects receive the events before the scene
+    write_object_input(scene, pointer, moved, clicked);
+    if (moved) {
+        scene.input.emit("pointermove", pointer, []);
+    }
+    if (clicked) {
+        scene.input.emit(input.down ? "pointerdown" : "pointerup", pointer, []);
+    }
+
+    input.keys.forEach(key_code => { scene.input.keyboard.addKey(key_code); });
+    Object.values(scene.input.keyboard.keys).filter(key => key).forEach(key => {
+        let is_down = input.keys.includes(key.keyCode);
+        if (key.isDown !== is_down) {
+            key.isDown = is_down;
+            key.emit(is_down ? "down" : "up", key);
+        }
+    });
+};
+
+// Called before each update of a scene: save its input, or replace it with the recorded one.
+const replay_frame = (scene) => {
+    if (replay_state.recording !== null && replay_state.recording.scene !== null) {
+        replay_state.recording.frames.push(read_input(scene));
+    }
+
+    if (replay_state.playing === null) {
+        return;
+    }
+
+    if (replay_state.next_frame >= replay_state.playing.frames.length) {
+        // The user takes back the control of the game
+        replay_state.playing = null;
+        PP.game.ph_obj.scene.scenes.forEach(ph_scene => {
+            ph_scene.input.enabled          = true;
+            ph_scene.input.keyboard.enabled = true;
+        });
+        return;
+    }
+
+    // The real mouse and keyboard are ignored during the replay
+    scene.input.enabled          = false;
+    scene.input.keyboard.enabled = false;
+    write_input(scene, replay_state.playing.frames[replay_state.next_frame]);
+    replay_state.next_frame++;
+};
+
+/**
+ * Start recording the mouse and the keyboard at each frame, and set a new seed for PP.random. If a scene is running,
+ * it is restarted so that the recording starts from its beginning. It can be called also from the browser console,
+ * without changing the code of the game.
+ * @function start_recording
+ * @memberof PP.replay
+ */
+PP.replay.start_recording = function() {
+    PP.debug.assert(PP.game.ph_obj !== undefined, "replay_before_create");
+
+    let seed = Math.floor(Math.random() * 4294967296);
+    PP.random.set_seed(seed);
+    replay_state.recording = {seed: seed, scene: null, data: {}, frames: []};
+
+    if (PP.scenes.main_scene_name !== undefined) {
+        let data = PP.game.ph_obj.scene.getScene(PP.scenes.main_scene_name).sys.settings.data;
+        PP.scenes.start(PP.scenes.main_scene_name, data);
+    }
+}
+
+/**
+ * Stop the recording started with PP.replay.start_recording.
+ * @function stop_recording
+ * @memberof PP.replay
+ * @return {string} The recording in JSON format, to be saved (e.g. in a file) and passed to PP.replay.play.
+ */
+PP.replay.stop_recording = function() {
+    PP.debug.assert(replay_state.recording !== null, "not_recording");
+
+    let recording = replay_state.recording;
+    replay_state.recording = null;
+
+    return JSON.stringify(recording);
+}
+
+/**
+ * Replay a recording: the scene where the recording started is started again with the same seed of PP.random, and at each frame
+ * the update function sees the recorded mouse and keyboard, while the real ones are ignored. The instances under the recorded
+ * pointer get their mouse events too (see PP.interactive.mouse.add). At the end of the recording,
+ * the game continues with the real mouse and keyboard. To repeat the same game, the random numbers must come from PP.random
+ * and the game should run at the same frame rate of the recording.
+ * @function play
+ * @memberof PP.replay
+ * @param {string|object}  recording  The recording returned by PP.replay.stop_recording (as a JSON string or as an object).
+ */
+PP.replay.play = function(recording) {
+    PP.debug.assert(PP.game.ph_obj !== undefined, "replay_before_create");
+    PP.debug.assert(typeof recording === "string" || typeof recording === "object", "param_recording", {name: "recording"});
+
+    if (typeof recording === "string") {
+        try {
+            recording = JSON.parse(recording);
+        } catch (error) {
+            PP.debug.assert(false, "param_recording", {name: "recording"});
+        }
+    }
+    PP.debug.assert(recording !== null && Number.isInteger(recording.seed) && Array.isArray(recording.frames) &&
+                    PP.scenes.list_names.includes(recording.scene), "param_recording", {name: "recording"});
+
+    replay_state.playing    = recording;
+    replay_state.next_frame = 0;
+    PP.random.set_seed(recording.seed);
+    PP.scenes.start(recording.scene, recording.data || {});
+}
+
+/**
+ * Check whether a recording is being replayed.
+ * @function is_playing
+ * @memberof PP.replay
+ * @return {boolean} True if PP.replay.play was called and the recording is not over yet, false otherwise.
+ */
+PP.replay.is_playing = function() {
+    return replay_state.playing !== null;
+}
+
+
+/************* DEBUG *************/
+
+// The names of the PP functions being executed, when the debug mode is enabled (the last one is the innermost).
+const debug_call_stack = [];
+
+const debug_enabled = () => {
+    return PP.game.config !== undefined && PP.game.config.debug === true;
+};
+
+// Replace every function of a namespace (and of its sub-namespaces) with one remembering its name while it runs,
+// so that a failed assertion can tell which function was called wrongly.
+const track_calls = (namespace, namespace_name) => {
+    Object.keys(namespace).forEach(name => {
+        let value     = namespace[name];
+        let full_name = namespace_name + "." + name;
+
+        if (typeof value === "function") {
+            namespace[name] = function(...args) {
+                debug_call_stack.push(full_name);
+                try {
+                    return value.apply(this, args);
+                } finally {
+                    debug_call_stack.pop();
+                }
+            };
+        } else if (value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+            // Only the plain objects are namespaces: Phaser objects and arrays are left untouched
+            track_calls(value, full_name);
+        }
+    });
+};
+
+// Build a plain object with the main properties of a Phaser object, named as in the PP functions.
+const describe_object = (ph_obj) => {
+    let description = {
+        type     : ph_obj.type,
+        x        : ph_obj.x,
+        y        : ph_obj.y,
+        width    : ph_obj.displayWidth,
+        height   : ph_obj.displayHeight,
+        scale_x  : ph_obj.scaleX,
+        scale_y  : ph_obj.scaleY,
+        rotation : ph_obj.angle,
+        alpha    : ph_obj.alpha,
+        visible  : ph_obj.visible,
+        depth    : ph_obj.depth
+    };
+    if (ph_obj.texture) {
+        description.texture = ph_obj.texture.key;
+    }
+    if (ph_obj.anims && ph_obj.anims.currentAnim) {
+        description.animation = ph_obj.anims.currentAnim.key;
+    }
+    if (ph_obj.body) {
+        description.velocity_x = ph_obj.body.velocity.x;
+        description.velocity_y = ph_obj.body.velocity.y;
+    }
+    return description;
+};
+
+// The objects of the scene that can be inspected, i.e. all but the ones drawn by the debug mode itself.
+const debug_objects = (scene) => {
+    return scene.children.list.filter(ph_obj => typeof ph_obj.getBounds === "function" &&
+                                                ph_obj !== scene.pp_debug.info.ph_obj &&
+                                                ph_obj !== scene.pp_debug.graphics);
+};
+
+// Add to a scene the information text, the drawing of bounds and pivots and the click-to-log inspector.
+const show_debug_overlay = (scene) => {
+    let info = PP.assets.text.add(scene, 4, 4, "", {font: "monospace", size: 14, color: 0x00FF00, stroke_color: 0x000000, stroke_width: 3});
+    PP.camera.pin(info, true);
+    PP.game_object.set_depth(info, Number.MAX_SAFE_INTEGER);
+
+    let graphics = scene.add.graphics();
+    graphics.setDepth(Number.MAX_SAFE_INTEGER - 1);
+
+    scene.pp_debug = {info: info, graphics: graphics};
+
+    // Log the topmost object under the pointer
+    scene.input.on("pointerdown", (pointer) => {
+        let hit = debug_objects(scene).filter(ph_obj => ph_obj.visible && ph_obj.getBounds().contains(pointer.worldX, pointer.worldY));
+        if (hit.length > 0) {
+            let topmost = hit.reduce((top, ph_obj) => ph_obj.depth >= top.depth ? ph_obj : top);
+            console.log(get_message("debug_clicked_instance"), describe_object(topmost));
+        }
+    });
+};
+
+// Refresh the information text and redraw the bounds (green) and the pivots (magenta) of every object.
+const update_debug_overlay = (scene) => {
+    PP.assets.text.set_text(scene.pp_debug.info, "FPS: " + Math.round(scene.game.loop.actualFps) + " | Scene: " + scene.sys.settings.key);
+
+    let graphics = scene.pp_debug.graphics;
+    graphics.clear();
+    debug_objects(scene).forEach(ph_obj => {
+        let bounds = ph_obj.getBounds();
+        graphics.lineStyle(1, 0x00FF00, 1);
+        graphics.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        graphics.fillStyle(0xFF00FF, 1);
+        graphics.fillCircle(ph_obj.x, ph_obj.y, 3);
+    });
+};
+
+// Show an error on the canvas, over the current scene, and halt the game by pausing all the running scenes.
+const report_error = (error) => {
+    let text = error.message;
+    if (error.function_name !== undefined) {
+        let message_id = error.parameter_name !== undefined ? "debug_error_in_parameter" : "debug_error_in";
+        text = get_message(message_id, {function_name: error.function_name, parameter_name: error.parameter_name}) + "\n" + text;
+    }
+    console.error(text, error);
+
+    let scene_name = PP.scenes.get_current();
+    if (scene_name === undefined) {
+        return;
+    }
+    let scene  = PP.game.ph_obj.scene.getScene(scene_name);
+    let width  = PP.game.config.canvas_width;
+    let height = PP.game.config.canvas_height;
+
+    let background = PP.shapes.add_rectangle(scene, 0, 0, width, height, 0x000000, 0.8);
+    let message    = PP.assets.text.add(scene, 20, 20, text, {font: "monospace", size: 18, color: 0xFF4040, word_wrap_width: width - 40});
+    [background, message].forEach(obj => {
+        PP.camera.pin(obj, true);
+        PP.game_object.set_depth(obj, Number.MAX_SAFE_INTEGER);
+    });
+
+    PP.game.ph_obj.scene.getScenes(true).forEach(running_scene => {
+        PP.game.ph_obj.scene.pause(running_scene.sys.settings.key);
+    });
+};
+
+// Call a function of the game. In debug mode its errors are shown like the ones of the game loop: this is needed for
+// the code that Phaser runs outside the loop, i.e. create after an asynchronous loading and the mouse and keyboard handlers.
+const call_reporting_errors = (function_to_call, ...args) => {
+    if (!debug_enabled()) {
+        return function_to_call(...args);
+    }
+    try {
+        return function_to_call(...args);
+    } catch (error) {
+        report_error(error);
+    }
+};
+
+// Enable the debug mode on the game being created: called by Phaser when the game has booted, before the first frame.
+const enable_debug = (game) => {
+    Object.keys(PP).filter(name => name !== "debug").forEach(name => { track_calls(PP[name], "PP." + name); });
+
+    // Errors stop the game loop, so we catch them to show them and keep the canvas updated
+    let step = game.step;
+    game.step = function(time, delta) {
+        try {
+            step.call(game, time, delta);
+        } catch (error) {
+            report_error(error);
+        }
+    };
+};
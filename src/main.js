@@ -7,4 +7,4 @@ var config = {
 }
 
 PP.game.create(config);
-//PP.game.start("test1");
\ No newline at end of file
+PP.game.start("test1");
\ No newline at end of file
@@ -6,7 +6,6 @@ let img_background_instance;
 
 let ss_player;
 let player_instance;
-let frame_count = 0;
 
 function preload(s) {
     console.log("Executing preload()");
@@ -23,15 +22,16 @@ function create(s) {
     player_instance = PP.assets.sprite.add(s, ss_player, 0, 0, 0, 0);
     PP.assets.sprite.animation_add(player_instance, "walk", 0, 10, 10, -1);
     PP.assets.sprite.animation_play(player_instance, "walk");
+
+    PP.timers.add(s, 2000, stop_walking);
+}
+
+function stop_walking(s) {
+    PP.assets.sprite.animation_stop(player_instance);
 }
 
 function update(s) {
     console.log("Executing update()");
-
-    if (frame_count++ == 100) {
-        PP.assets.sprite.animation_stop(player_instance);
-    }
-
 }
 
 function destroy(s) {
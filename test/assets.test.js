@@ -0,0 +1,506 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+const { noop, new_game, started_game, throws, check_errors } = require("./helpers");
+
+// Start a game whose single scene runs the given preload and create functions.
+// Both functions receive the scene and the PP object of the new game.
+const game_with = (preload, create = noop, options = {}) => {
+    let h = new_game([{name: "main", preload: (s) => preload(s, h.PP), create: (s) => create(s, h.PP)}], options);
+    h.PP.game.start("main");
+    return {h: h, scene: h.get_scene("main")};
+};
+
+test("PP.assets.image checks its parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    check_errors(PP.assets.image.load, () => [scene, "a.png"], [
+        [0, "scene", "scene should be a scene object"],
+        [1, 1,       "image_path should be a string"],
+    ]);
+
+    let image = PP.assets.image.load(scene, "a.png");
+    check_errors(PP.assets.image.add, () => [scene, image, 10, 20, 0.5, 0.5], [
+        [0, "scene",               "scene should be a scene object"],
+        [1, "image",               "image should be an object"],
+        [1, {type: "image"},       "image is not a valid image object"],
+        [1, {id: "1", type: "x"},  "image is an object but not an image"],
+        [2, "10",                  "x should be a number"],
+        [3, "20",                  "y should be a number"],
+        [4, "0",                   "pivot_x should be a number"],
+        [5, "0",                   "pivot_y should be a number"],
+        [4, 2,                     "pivot_x must be between 0 and 1"],
+        [5, -1,                    "pivot_y must be between 0 and 1"],
+    ]);
+});
+
+test("loading the same image twice prints a warning and returns the same object", () => {
+    let images = [];
+    let { h } = game_with((s, PP) => {
+        images.push(PP.assets.image.load(s, "a.png"));
+        images.push(PP.assets.image.load(s, "a.png"));
+    });
+    assert.deepEqual(images[0], images[1]);
+    assert.strictEqual(h.warnings.length, 1);
+    assert.ok(h.warnings[0].includes("a.png"));
+});
+
+test("PP.assets.image.add places the image with the given pivot", () => {
+    let image;
+    let { h, scene } = game_with((s, PP) => { image = PP.assets.image.load(s, "a.png"); });
+    let inst = h.PP.assets.image.add(scene, image, 10, 20, 0.5, 1);
+    assert.strictEqual(inst.ph_obj.x, 10);
+    assert.strictEqual(inst.ph_obj.y, 20);
+    assert.strictEqual(inst.ph_obj.originX, 0.5);
+    assert.strictEqual(inst.ph_obj.originY, 1);
+    assert.strictEqual(inst.ph_obj.texture.key, image.id);
+});
+
+test("PP.assets.sprite checks its parameters", () => {
+    let sheet;
+    let { h, scene } = game_with((s, PP) => { sheet = PP.assets.sprite.load_spritesheet(s, "p.png", 32, 32, 0, 7); });
+    let PP = h.PP;
+
+    check_errors(PP.assets.sprite.load_spritesheet, () => [scene, "q.png", 32, 32, 0, 7], [
+        [0, "scene", "scene should be a scene object"],
+        [1, 1,       "image_path should be a string"],
+        [2, "32",    "frame_width should be a number"],
+        [3, "32",    "frame_height should be a number"],
+        [4, "0",     "start_frame should be a number"],
+        [5, "7",     "end_frame should be a number"],
+    ]);
+    check_errors(PP.assets.sprite.load_atlas, () => [scene, "e.png", "e.json"], [
+        [0, "scene", "scene should be a scene object"],
+        [1, 1,       "image_path should be a string"],
+        [2, 1,       "json_path should be a string"],
+    ]);
+    check_errors(PP.assets.sprite.add, () => [scene, sheet, 0, 0, 0, 0], [
+        [0, "scene",               "scene should be a scene object"],
+        [1, "sheet",               "sprite should be an object"],
+        [1, {type: "sprite"},      "sprite is not a valid sprite object"],
+        [1, {id: "1", type: "x"},  "sprite is an object but not a sprite"],
+        [2, "0",                   "x should be a number"],
+        [3, "0",                   "y should be a number"],
+        [4, "0",                   "pivot_x should be a number"],
+        [5, "0",                   "pivot_y should be a number"],
+    ]);
+
+    let player = PP.assets.sprite.add(scene, sheet, 0, 0, 0, 0);
+    check_errors(PP.assets.sprite.animation_add, () => [player, "walk", 0, 3, 10, -1], [
+        [0, "player",          "sprite should be an object"],
+        [0, {},                "sprite is not a valid sprite instance"],
+        [1, 1,                 "animation_name is not a string"],
+        [2, "0",               "frame_start_nr should be a number"],
+        [3, "3",               "frame_end_nr should be a number"],
+        [4, "10",              "frame_rate should be a number"],
+        [5, "-1",              "repeat should be a number"],
+        [2, -1,                "frame_start_nr invalid number (<0)"],
+        [3, -1,                "frame_end_nr invalid number (<0)"],
+        [4, 0,                 "frame_rate invalid number (<=0)"],
+        [5, -2,                "repeat invalid number (<-1)"],
+    ]);
+    check_errors(PP.assets.sprite.animation_add_frames, () => [player, "jump", [0, 2], 10, 0], [
+        [0, {},                "sprite is not a valid sprite instance"],
+        [1, 1,                 "animation_name is not a string"],
+        [2, [],                "frame_list should be a non-empty array"],
+        [2, [0, -1],           "frame_list should contain only frame numbers (>=0)"],
+        [3, 0,                 "frame_rate invalid number (<=0)"],
+        [4, -2,                "repeat invalid number (<-1)"],
+    ]);
+    check_errors(PP.assets.sprite.animation_add_by_prefix, () => [player, "run", "run_", 10, -1], [
+        [0, player,            "sprite is not loaded from an atlas"],
+    ]);
+    check_errors(PP.assets.sprite.animation_play, () => [player, "walk", false, false], [
+        [0, {},                "sprite is not a valid sprite instance"],
+        [1, 1,                 "animation_name is not a string"],
+        [1, "fly",             "Animation does not exist!"],
+        [2, "no",              "ignore_if_playing should be a boolean"],
+        [3, "no",              "reverse should be a boolean"],
+    ]);
+    ["animation_on_complete", "animation_on_repeat", "animation_on_frame"].forEach(name => {
+        check_errors(PP.assets.sprite[name], () => [player, noop], [
+            [0, {},    "sprite is not a valid sprite instance"],
+            [1, null,  "function_to_call should be a function"],
+        ]);
+    });
+});
+
+test("sprite animations can be played, paused, resumed and stopped", () => {
+    let sheet;
+    let { h, scene } = game_with((s, PP) => { sheet = PP.assets.sprite.load_spritesheet(s, "p.png", 32, 32, 0, 7); });
+    let PP = h.PP;
+    let player = PP.assets.sprite.add(scene, sheet, 0, 0, 0.5, 1);
+
+    PP.assets.sprite.animation_add(player, "walk", 0, 3, 10, -1);
+    PP.assets.sprite.animation_add_frames(player, "jump", [4, 6, 5], 10, 0);
+    assert.strictEqual(PP.assets.sprite.get_current_animation(player), undefined);
+    assert.strictEqual(PP.assets.sprite.is_playing(player), false);
+
+    PP.assets.sprite.animation_play(player, "walk");
+    assert.strictEqual(PP.assets.sprite.get_current_animation(player), "walk");
+    assert.strictEqual(PP.assets.sprite.is_playing(player), true);
+
+    PP.assets.sprite.animation_pause(player);
+    assert.strictEqual(PP.assets.sprite.is_playing(player), false);
+    PP.assets.sprite.animation_resume(player);
+    assert.strictEqual(PP.assets.sprite.is_playing(player), true);
+
+    PP.assets.sprite.animation_play(player, "jump", false, true);
+    assert.strictEqual(PP.assets.sprite.get_current_animation(player), "jump");
+    assert.strictEqual(player.ph_obj.anims.reversed, true);
+
+    PP.assets.sprite.animation_stop(player);
+    assert.strictEqual(PP.assets.sprite.is_playing(player), false);
+});
+
+test("sprite animation functions reject invalid and destroyed sprite instances", () => {
+    let sheet;
+    let { h, scene } = game_with((s, PP) => { sheet = PP.assets.sprite.load_spritesheet(s, "p.png", 32, 32, 0, 7); });
+    let PP = h.PP;
+    let player = PP.assets.sprite.add(scene, sheet, 0, 0, 0, 0);
+    PP.assets.sprite.animation_add(player, "walk", 0, 3, 10, -1);
+    PP.game_object.destroy(player);
+
+    let functions = {
+        animation_add           : ["walk", 0, 3, 10, -1],
+        animation_add_frames    : ["walk", [0, 1], 10, -1],
+        animation_play          : ["walk"],
+        animation_stop          : [],
+        animation_pause         : [],
+        animation_resume        : [],
+        get_current_animation   : [],
+        is_playing              : [],
+        animation_on_complete   : [noop],
+        animation_on_repeat     : [noop],
+        animation_on_frame      : [noop],
+    };
+    Object.entries(functions).forEach(([name, args]) => {
+        throws(() => PP.assets.sprite[name]({orig_sprite: sheet}, ...args), "sprite is not a valid sprite instance");
+        throws(() => PP.assets.sprite[name](player, ...args), "The object has already been destroyed");
+    });
+});
+
+test("animations are shared between the instances of the same spritesheet", () => {
+    let sheet;
+    let { h, scene } = game_with((s, PP) => { sheet = PP.assets.sprite.load_spritesheet(s, "p.png", 32, 32, 0, 7); });
+    let PP = h.PP;
+    let first  = PP.assets.sprite.add(scene, sheet, 0, 0, 0, 0);
+    let second = PP.assets.sprite.add(scene, sheet, 0, 0, 0, 0);
+
+    PP.assets.sprite.animation_add(first, "walk", 0, 3, 10, -1);
+    PP.assets.sprite.animation_add(second, "walk", 0, 3, 10, -1);   // Same frames: fine
+    PP.assets.sprite.animation_play(second, "walk");
+    throws(() => PP.assets.sprite.animation_add(second, "walk", 4, 7, 10, -1), "Duplicated animation name: 'walk'");
+});
+
+test("sprites loaded from an atlas can create animations by frame prefix", () => {
+    let atlas;
+    let files = {"e.json": {frame_names: ["idle_0", "run_0", "run_1"]}};
+    let { h, scene } = game_with((s, PP) => { atlas = PP.assets.sprite.load_atlas(s, "e.png", "e.json"); }, noop, {files: files});
+    let PP = h.PP;
+    let enemy = PP.assets.sprite.add(scene, atlas, 0, 0, 0, 0);
+
+    assert.strictEqual(enemy.ph_obj.frame, "idle_0");
+    PP.assets.sprite.animation_add_by_prefix(enemy, "run", "run_", 10, -1);
+    PP.assets.sprite.animation_play(enemy, "run");
+    assert.deepEqual(enemy.ph_obj.anims.currentAnim.frames.map(f => f.textureFrame), ["run_0", "run_1"]);
+    throws(() => PP.assets.sprite.animation_add_by_prefix(enemy, "fly", "fly_", 10, -1), "No frame of the atlas starts with 'fly_'");
+    check_errors(PP.assets.sprite.animation_add_by_prefix, () => [enemy, "run", "run_", 10, -1], [
+        [0, {},      "sprite is not a valid sprite instance"],
+        [1, 1,       "animation_name is not a string"],
+        [2, 1,       "prefix should be a string"],
+        [3, "10",    "frame_rate should be a number"],
+        [4, "-1",    "repeat should be a number"],
+        [3, 0,       "frame_rate invalid number (<=0)"],
+        [4, -2,      "repeat invalid number (<-1)"],
+    ]);
+});
+
+test("PP.assets.text checks its parameters and the style options", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    check_errors(PP.assets.text.add, () => [scene, 0, 0, "Hi", {}], [
+        [0, "scene",                     "scene should be a scene object"],
+        [1, "0",                         "x should be a number"],
+        [2, "0",                         "y should be a number"],
+        [3, 1,                           "string should be a string"],
+        [4, "big",                       "style should be an object"],
+        [4, {colour: 1},                 "'colour' is not a valid text style option"],
+        [4, {size: "12"},                "style.size should be a number"],
+        [4, {font_style: "thin"},        "style.font_style"],
+        [4, {color: "red"},              "style.color should be a number"],
+        [4, {align: "top"},              "style.align"],
+        [4, {stroke_color: "red"},       "style.stroke_color should be a number"],
+        [4, {stroke_width: "2"},         "style.stroke_width should be a number"],
+        [4, {word_wrap_width: "2"},      "style.word_wrap_width should be a number"],
+    ]);
+    check_errors(PP.assets.text.load_web_font, () => [scene, "Font", "f.ttf"], [
+        [1, 1, "font_name should be a string"],
+        [2, 1, "font_path should be a string"],
+    ]);
+    check_errors(PP.assets.text.load_bitmap_font, () => [scene, "f.png", "f.xml"], [
+        [1, 1, "image_path should be a string"],
+        [2, 1, "xml_path should be a string"],
+    ]);
+
+    let font = {type: "bitmap_font", id: "1"};
+    check_errors(PP.assets.text.add_bitmap, () => [scene, font, 0, 0, "Hi", 16], [
+        [0, "scene",          "scene should be a scene object"],
+        [1, "font",           "bitmap_font should be an object"],
+        [1, {type: "image"},  "bitmap_font is an object but not a bitmap font"],
+        [2, "0",              "x should be a number"],
+        [3, "0",              "y should be a number"],
+        [4, 1,                "string should be a string"],
+        [5, "16",             "size should be a number"],
+    ]);
+
+    let text = PP.assets.text.add(scene, 0, 0, "Hi");
+    throws(() => PP.assets.text.set_text({}, "Hello"), "text_instance is not a valid text instance");
+    throws(() => PP.assets.text.set_text(text, 1), "string should be a string");
+    throws(() => PP.assets.text.get_text({}), "text_instance is not a valid text instance");
+
+    PP.game_object.destroy(text);
+    throws(() => PP.assets.text.set_text(text, "Hello"), "The object has already been destroyed");
+    throws(() => PP.assets.text.get_text(text), "The object has already been destroyed");
+});
+
+test("PP.assets.text sets and gets the string of a text", () => {
+    let { h, scene } = started_game();
+    let text = h.PP.assets.text.add(scene, 10, 10, "Score: 0", {size: 20, color: 0xFF0000});
+    assert.strictEqual(h.PP.assets.text.get_text(text), "Score: 0");
+    h.PP.assets.text.set_text(text, "Score: 1");
+    assert.strictEqual(h.PP.assets.text.get_text(text), "Score: 1");
+});
+
+test("PP.assets.audio checks its parameters", () => {
+    let audio;
+    let { h, scene } = game_with((s, PP) => { audio = PP.assets.audio.load(s, ["a.ogg", "a.mp3"]); });
+    let PP = h.PP;
+    check_errors(PP.assets.audio.load, () => [scene, "b.ogg"], [
+        [0, "scene", "scene should be a scene object"],
+        [1, 1,       "audio_path"],
+        [1, [],      "audio_path"],
+    ]);
+    check_errors(PP.assets.audio.add, () => [scene, audio, 1, false], [
+        [0, "scene",          "scene should be a scene object"],
+        [1, "audio",          "audio should be an object"],
+        [1, {type: "image"},  "audio is an object but not an audio"],
+        [2, "1",              "volume should be a number"],
+        [3, "no",             "loop should be a boolean"],
+        [2, 2,                "volume must be between 0 and 1"],
+    ]);
+
+    let sound = PP.assets.audio.add(scene, audio);
+    ["play", "stop", "pause", "resume", "is_playing"].forEach(name => {
+        throws(() => PP.assets.audio[name]({}), "sound_instance is not a valid sound instance");
+    });
+    throws(() => PP.assets.audio.set_loop(sound, 1), "loop should be a boolean");
+    throws(() => PP.assets.audio.set_volume(sound, -1), "volume must be between 0 and 1");
+    throws(() => PP.assets.audio.play_music(scene, audio, 3), "volume must be between 0 and 1");
+    throws(() => PP.assets.audio.set_mute("yes"), "mute should be a boolean");
+
+    let not_created = create_harness();
+    throws(() => not_created.PP.assets.audio.set_mute(true), "The game must be created (PP.game.create) before muting it");
+    throws(() => not_created.PP.assets.audio.is_muted(), "The game must be created (PP.game.create) before checking the mute");
+});
+
+test("music keeps playing when the scene changes", () => {
+    let audio;
+    let h = new_game([
+        {name: "menu", preload: (s) => { audio = h.PP.assets.audio.load(s, "music.ogg"); }},
+        {name: "level"},
+    ]);
+    let PP = h.PP;
+    PP.game.start("menu");
+    let sound = PP.assets.audio.add(h.get_scene("menu"), audio);
+    PP.assets.audio.play(sound);
+    PP.assets.audio.play_music(h.get_scene("menu"), audio, 0.5);
+    let music = PP.assets.audio.current_music;
+
+    PP.scenes.start("level");
+    assert.strictEqual(sound.ph_obj.destroyed, true);
+    assert.strictEqual(music.isPlaying, true);
+    ["play", "stop", "pause", "resume", "is_playing"].forEach(name => {
+        throws(() => PP.assets.audio[name](sound), "The object has already been destroyed");
+    });
+    throws(() => PP.assets.audio.set_loop(sound, true), "The object has already been destroyed");
+    throws(() => PP.assets.audio.set_volume(sound, 1), "The object has already been destroyed");
+
+    PP.assets.audio.set_mute(true);
+    assert.strictEqual(PP.assets.audio.is_muted(), true);
+    PP.assets.audio.stop_music();
+    assert.strictEqual(music.destroyed, true);
+    assert.strictEqual(PP.assets.audio.current_music, undefined);
+});
+
+test("PP.assets.tilemap checks its parameters", () => {
+    let files = {"level.json": {width: 2, height: 1, tilewidth: 16, tileheight: 16, tilesets: [{name: "ground"}],
+                                layers: [{name: "walls", type: "tilelayer", data: [1, 2]}]}};
+    let json_map, tiles;
+    let { h, scene } = game_with((s, PP) => {
+        json_map = PP.assets.tilemap.load(s, "level.json");
+        tiles    = PP.assets.image.load(s, "tiles.png");
+    }, noop, {files: files});
+    let PP = h.PP;
+
+    check_errors(PP.assets.tilemap.load, () => [scene, "other.json"], [
+        [0, "scene", "scene should be a scene object"],
+        [1, 1,       "map_path should be a string"],
+    ]);
+    check_errors(PP.assets.tilemap.add, () => [scene, json_map], [
+        [0, "scene",          "scene should be a scene object"],
+        [1, "map",            "tilemap should be an object"],
+        [1, {type: "image"},  "tilemap is an object but not a tilemap"],
+    ]);
+
+    let map = PP.assets.tilemap.add(scene, json_map);
+    check_errors(PP.assets.tilemap.add_tileset, () => [map, "ground", tiles], [
+        [0, {},               "map_instance is not a valid tilemap instance"],
+        [1, 1,                "tileset_name should be a string"],
+        [2, "tiles",          "image should be an object"],
+        [2, json_map,         "image is an object but not an image"],
+    ]);
+    PP.assets.tilemap.add_tileset(map, "ground", tiles);
+    check_errors(PP.assets.tilemap.add_layer, () => [map, "walls", 0, 0], [
+        [0, {},               "map_instance is not a valid tilemap instance"],
+        [1, 1,                "layer_name should be a string"],
+        [2, "0",              "x should be a number"],
+        [3, "0",              "y should be a number"],
+    ]);
+
+    let layer = PP.assets.tilemap.add_layer(map, "walls", 0, 0);
+    check_errors(PP.assets.tilemap.set_solid, () => [layer, [1]], [
+        [0, {},               "layer_instance is not a valid layer instance"],
+        [1, [1, "2"],         "tile_indexes should be an array of numbers"],
+    ]);
+    check_errors(PP.assets.tilemap.get_tile, () => [layer, 0, 0], [
+        [0, {},               "layer_instance is not a valid layer instance"],
+        [1, "0",              "col should be a number"],
+        [2, "0",              "row should be a number"],
+    ]);
+    check_errors(PP.assets.tilemap.set_tile, () => [layer, 0, 0, 1], [
+        [0, {},               "layer_instance is not a valid layer instance"],
+        [1, "0",              "col should be a number"],
+        [2, "0",              "row should be a number"],
+        [3, "1",              "tile_index should be a number"],
+        [2, 1,                "col and row must be inside the map"],
+    ]);
+    check_errors(PP.assets.tilemap.get_objects, () => [map, "spawns"], [
+        [0, {},               "map_instance is not a valid tilemap instance"],
+        [1, 1,                "layer_name should be a string"],
+    ]);
+});
+
+test("PP.assets.tilemap loads JSON and CSV maps and edits their tiles", () => {
+    let files = {
+        "level.json": {
+            width: 3, height: 2, tilewidth: 16, tileheight: 16,
+            tilesets: [{name: "ground"}],
+            layers: [
+                {name: "walls", type: "tilelayer", data: [1, 0, 1, 2, 2, 2]},
+                {name: "spawns", type: "objectgroup", objects: [{name: "player", type: "spawn", x: 16, y: 0, width: 0, height: 0,
+                                                                 properties: [{name: "lives", value: 3}]}]},
+            ]
+        },
+        "level.csv": "1,2\n3,4\n",
+    };
+    let json_map, csv_map, tiles;
+    let { h, scene } = game_with((s, PP) => {
+        json_map = PP.assets.tilemap.load(s, "level.json");
+        csv_map  = PP.assets.tilemap.load(s, "level.csv");
+        tiles    = PP.assets.image.load(s, "tiles.png");
+    }, noop, {files: files});
+    let PP = h.PP;
+
+    throws(() => PP.assets.tilemap.add(scene, csv_map), "tile_width should be a number for CSV maps");
+    let map = PP.assets.tilemap.add(scene, json_map);
+    throws(() => PP.assets.tilemap.add_layer(map, "walls", 0, 0), "You need to add at least one tileset");
+    throws(() => PP.assets.tilemap.add_tileset(map, "sky", tiles), "does not contain a tileset named 'sky'");
+    PP.assets.tilemap.add_tileset(map, "ground", tiles);
+    throws(() => PP.assets.tilemap.add_layer(map, "floor", 0, 0), "does not contain a tile layer named 'floor'");
+
+    let walls = PP.assets.tilemap.add_layer(map, "walls", 0, 0);
+    assert.strictEqual(PP.assets.tilemap.get_tile(walls, 1, 1), 2);
+    PP.assets.tilemap.set_tile(walls, 1, 0, 5);
+    assert.strictEqual(PP.assets.tilemap.get_tile(walls, 1, 0), 5);
+    PP.assets.tilemap.set_tile(walls, 1, 0, -1);
+    assert.strictEqual(PP.assets.tilemap.get_tile(walls, 1, 0), -1);
+    throws(() => PP.assets.tilemap.set_tile(walls, 3, 0, 1), "col and row must be inside the map");
+
+    PP.assets.tilemap.set_solid(walls, [1, 2]);
+    assert.deepEqual(walls.ph_obj.collision_indexes, [1, 2]);
+
+    assert.deepEqual(PP.assets.tilemap.get_objects(map, "spawns"),
+                     [{name: "player", type: "spawn", x: 16, y: 0, width: 0, height: 0, properties: {lives: 3}}]);
+    throws(() => PP.assets.tilemap.get_objects(map, "items"), "does not contain an object layer named 'items'");
+
+    let csv = PP.assets.tilemap.add(scene, csv_map, 16, 16);
+    PP.assets.tilemap.add_tileset(csv, "any", tiles);
+    assert.strictEqual(PP.assets.tilemap.get_tile(PP.assets.tilemap.add_layer(csv, "csv", 0, 0), 1, 1), 4);
+});
+
+test("PP.assets.load_manifest loads every section of a manifest object or file", () => {
+    let manifest = {
+        images       : {background: "bg.png"},
+        spritesheets : {player: {path: "p.png", frame_width: 32, frame_height: 32, start_frame: 0, end_frame: 7}},
+        atlases      : {enemy: {image_path: "e.png", json_path: "e.json"}},
+        audio        : {jump: ["jump.ogg", "jump.mp3"]},
+    };
+    let files = {"manifest.json": manifest, "e.json": {frame_names: ["idle_0"]}};
+    let from_object, from_file;
+    let { h, scene } = game_with((s, PP) => {
+        from_object = PP.assets.load_manifest(s, manifest);
+    }, noop, {files: files});
+
+    assert.deepEqual(Object.keys(from_object), ["background", "player", "enemy", "jump"]);
+    assert.strictEqual(from_object.background.type, "image");
+    assert.strictEqual(from_object.player.type, "sprite");
+    assert.strictEqual(from_object.enemy.atlas, true);
+    assert.strictEqual(from_object.jump.type, "audio");
+
+    // A new game has its own copy of the library, so the same assets are loaded again
+    let { h: h2 } = game_with((s, PP) => { from_file = PP.assets.load_manifest(s, "manifest.json"); }, noop, {files: files});
+    assert.deepEqual(Object.keys(from_file), ["background", "player", "enemy", "jump"]);
+    assert.strictEqual(h2.warnings.length, 0);
+
+    throws(() => h.PP.assets.load_manifest(scene, {sounds: {}}), "Manifest error: 'sounds' is not a valid section");
+    throws(() => h.PP.assets.load_manifest(scene, {atlases: {enemy: "e.png"}}), "Manifest error: the atlas 'enemy' should be an object");
+    throws(() => h.PP.assets.load_manifest(scene, {spritesheets: {hero: "h.png"}}), "Manifest error: the spritesheet 'hero' should be an object");
+    throws(() => h.PP.assets.load_manifest(scene, 1), "manifest should be an object or a string");
+});
+
+test("a manifest file already loaded fills the handles again when the scene is restarted or in another scene", () => {
+    let files = {"manifest.json": {images: {background: "bg.png"}}};
+    let handles = [];
+    let created = [];
+    let preload = (s) => { handles.push(h.PP.assets.load_manifest(s, "manifest.json")); };
+    let create  = (s) => { created.push(h.PP.assets.image.add(s, handles[handles.length - 1].background, 0, 0, 0, 0)); };
+    let h = new_game([{name: "main", preload: preload, create: create}, {name: "other", preload: preload, create: create}],
+                     {files: files});
+    h.PP.game.start("main");
+    h.PP.scenes.restart();
+    h.PP.scenes.start("other");
+
+    assert.strictEqual(handles.length, 3);
+    assert.strictEqual(created.length, 3);
+    assert.ok(handles.every(handle => handle.background.id === handles[0].background.id));
+});
+
+test("the progress bar and the load error callback follow the loading", () => {
+    let failed = [];
+    let { h, scene } = game_with((s, PP) => {
+        PP.assets.show_progress_bar(s, 0x00FF00);
+        PP.assets.on_load_error(s, (s, url) => failed.push(url));
+        PP.assets.image.load(s, "a.png");
+        PP.assets.image.load(s, "missing.png");
+    }, noop, {missing_files: ["missing.png"]});
+
+    assert.deepEqual(failed, ["missing.png"]);
+    assert.ok(h.warnings.some(w => w.includes("missing.png")));
+    // The bar is destroyed when the loading is complete
+    assert.ok(scene.sys.display_list.every(obj => obj.type !== "Rectangle"));
+
+    throws(() => h.PP.assets.show_progress_bar(scene, 0x1000000), "color must be between 0x000000 and 0xFFFFFF");
+    throws(() => h.PP.assets.on_load_error(scene, null), "function_to_call should be a function");
+});
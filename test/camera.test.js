@@ -0,0 +1,104 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { started_game, throws, check_errors } = require("./helpers");
+
+test("PP.camera functions check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let player = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+
+    check_errors(PP.camera.follow, () => [scene, player, 0.5], [
+        [0, "scene",   "scene should be a scene object"],
+        [1, "player",  "obj should be an object"],
+        [1, {},        "obj is an object but it is not a valid object"],
+        [2, "0.5",     "lerp should be a number"],
+        [2, 0,         "lerp must be greater than 0 and not greater than 1"],
+        [2, 1.5,       "lerp must be greater than 0 and not greater than 1"],
+    ]);
+    check_errors(PP.camera.set_world_bounds, () => [scene, 0, 0, 2000, 600], [
+        [0, "scene",   "scene should be a scene object"],
+        [1, "0",       "x should be a number"],
+        [2, "0",       "y should be a number"],
+        [3, "2000",    "width should be a number"],
+        [4, "600",     "height should be a number"],
+        [3, 0,         "width and height"],
+        [4, -600,      "width and height"],
+    ]);
+    check_errors(PP.camera.scroll_to, () => [scene, 100, 0], [
+        [0, "scene",   "scene should be a scene object"],
+        [1, "100",     "x should be a number"],
+        [2, "0",       "y should be a number"],
+    ]);
+    check_errors(PP.camera.zoom, () => [scene, 2], [
+        [0, "scene",   "scene should be a scene object"],
+        [1, "2",       "zoom should be a number"],
+        [1, 0,         "zoom invalid number (<=0)"],
+    ]);
+    check_errors(PP.camera.flash, () => [scene, 100, 0xFF0000], [
+        [1, 0,         "duration invalid number (<=0)"],
+        [2, 0x1000000, "color must be between 0x000000 and 0xFFFFFF"],
+    ]);
+    throws(() => PP.camera.get_scroll("scene"), "scene should be a scene object");
+    throws(() => PP.camera.pin(player, 1), "pinned should be a boolean");
+
+    PP.game_object.destroy(player);
+    throws(() => PP.camera.follow(scene, player), "The object has already been destroyed");
+    throws(() => PP.camera.pin(player, true), "The object has already been destroyed");
+});
+
+test("the camera follows an instance inside the world bounds", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let player = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    let camera = scene.cameras.main;
+
+    PP.camera.follow(scene, player);
+    assert.strictEqual(camera.follow_target, player.ph_obj);
+    assert.deepStrictEqual(camera.lerp, {x: 1, y: 1});
+    PP.camera.follow(scene, player, 0.1);
+    assert.deepStrictEqual(camera.lerp, {x: 0.1, y: 0.1});
+    PP.camera.stop_follow(scene);
+    assert.strictEqual(camera.follow_target, null);
+
+    // The world bounds apply to the camera and to the physics
+    PP.camera.set_world_bounds(scene, 0, 0, 3000, 600);
+    assert.deepStrictEqual(camera.bounds, {x: 0, y: 0, width: 3000, height: 600});
+    assert.deepStrictEqual(scene.physics.world.bounds, {x: 0, y: 0, width: 3000, height: 600});
+});
+
+test("the camera scrolls, zooms and pins instances to the canvas", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let score = PP.shapes.add_rectangle(scene, 10, 10, 100, 20, 0xFFFFFF);
+
+    assert.deepEqual(PP.camera.get_scroll(scene), {x: 0, y: 0});
+    PP.camera.scroll_to(scene, 250, 40);
+    assert.deepEqual(PP.camera.get_scroll(scene), {x: 250, y: 40});
+
+    PP.camera.zoom(scene, 2);
+    assert.strictEqual(scene.cameras.main.zoom, 2);
+
+    PP.camera.pin(score, true);
+    assert.strictEqual(score.ph_obj.scrollFactorX, 0);
+    PP.camera.pin(score, false);
+    assert.strictEqual(score.ph_obj.scrollFactorX, 1);
+});
+
+test("the camera effects are translated to Phaser colors and call back when complete", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let done = [];
+
+    PP.camera.shake(scene, 200);
+    PP.camera.flash(scene, 100, 0xFF8000);
+    PP.camera.fade_out(scene, 500, undefined, (s) => done.push(["out", s]));
+    PP.camera.fade_in(scene, 500, 0x0000FF, (s) => done.push(["in", s]));
+    assert.deepEqual(scene.cameras.main.effects, [
+        {type: "shake",   duration: 200, intensity: 0.01},
+        {type: "flash",   duration: 100, color: [255, 128, 0]},
+        {type: "fadeout", duration: 500, color: [0, 0, 0]},
+        {type: "fadein",  duration: 500, color: [0, 0, 255]},
+    ]);
+    assert.deepStrictEqual(done, [["out", scene], ["in", scene]]);
+});
@@ -0,0 +1,110 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { new_game, started_game, throws } = require("./helpers");
+
+test("config.debug should be a boolean", () => {
+    throws(() => new_game([{name: "main"}], {config: {debug: "yes"}}), "config.debug is not a boolean");
+});
+
+test("the debug mode shows the FPS, the scene name and the bounds of the instances", () => {
+    let h = new_game([{name: "main", create: (s) => { h.PP.shapes.add_rectangle(s, 10, 20, 30, 40, 0xFF0000); }}],
+                     {config: {debug: true}});
+    h.PP.game.start("main");
+    h.step();
+
+    let scene = h.get_scene("main");
+    assert.strictEqual(h.PP.assets.text.get_text(scene.pp_debug.info), "FPS: 60 | Scene: main");
+    let commands = scene.pp_debug.graphics.commands;
+    assert.deepStrictEqual(commands.filter(c => c[0] === "strokeRect"), [["strokeRect", 10, 20, 30, 40]]);
+    assert.deepStrictEqual(commands.filter(c => c[0] === "fillCircle"), [["fillCircle", 10, 20, 3]]);
+    assert.strictEqual(h.PP.game.ph_obj.config.physics.arcade.debug, true);
+});
+
+test("in debug mode, a click on an instance logs its properties", () => {
+    let h = new_game([{
+        name   : "main",
+        create : (s) => {
+            h.PP.shapes.add_rectangle(s, 0, 0, 100, 100, 0xFF0000);
+            let top = h.PP.shapes.add_rectangle(s, 50, 50, 100, 100, 0x00FF00);
+            h.PP.game_object.set_depth(top, 1);
+        }
+    }], {config: {debug: true}});
+    h.PP.game.start("main");
+
+    h.set_pointer("main", 75, 75, true);
+    assert.strictEqual(h.logs.length, 1);
+    assert.ok(h.logs[0].startsWith("PoliPhaser debug: clicked instance"));
+
+    h.set_pointer("main", 75, 75, false);
+    h.set_pointer("main", 500, 500, true);
+    assert.strictEqual(h.logs.length, 1);
+});
+
+test("in debug mode, a failed assertion is shown on the canvas with the function and the parameter", () => {
+    let box;
+    let h = new_game([{
+        name   : "main",
+        create : (s) => { box = h.PP.shapes.add_rectangle(s, 0, 0, 10, 10, 0xFF0000); },
+        update : (s) => { h.PP.game_object.set_position(box, "100", 0); }
+    }], {config: {debug: true}});
+    h.PP.game.start("main");
+    h.step();
+
+    let scene = h.get_scene("main");
+    assert.strictEqual(h.errors.length, 1);
+    assert.ok(h.errors[0].startsWith("Error in PP.game_object.set_position (parameter x):\nAssertion failed: Parameter error: x should be a number."));
+    let message = scene.sys.display_list.find(obj => obj.type === "Text" && obj !== scene.pp_debug.info.ph_obj);
+    assert.ok(message.text.startsWith("Error in PP.game_object.set_position (parameter x)"));
+
+    // The game is halted
+    assert.ok(h.PP.game.ph_obj.scene.isPaused("main"));
+    h.step(10);
+    assert.strictEqual(h.errors.length, 1);
+});
+
+// The mock loads the assets at once, so create runs out of the game loop as in Phaser after an asynchronous loading.
+test("in debug mode, a failed assertion in create is shown on the canvas", () => {
+    let h = new_game([{name: "main", create: () => { h.PP.timers.add(); }}], {config: {debug: true}});
+    h.PP.game.start("main");
+
+    assert.strictEqual(h.errors.length, 1);
+    assert.ok(h.errors[0].startsWith("Error in PP.timers.add (parameter scene):"));
+    assert.ok(h.PP.game.ph_obj.scene.isPaused("main"));
+});
+
+test("in debug mode, a failed assertion in a mouse or keyboard callback is shown on the canvas", () => {
+    let box;
+    let h = new_game([{
+        name   : "main",
+        create : (s) => {
+            box = h.PP.shapes.add_rectangle(s, 0, 0, 10, 10, 0xFF0000);
+            h.PP.interactive.mouse.add(box, "pointerdown", () => { h.PP.game_object.set_alpha(box, 2); });
+            h.PP.interactive.mouse.add_scene(s, "pointerup", () => { h.PP.game_object.set_visible(box, "no"); });
+            h.PP.interactive.kb.on_key_down(s, h.PP.key_codes.SPACE, () => { h.PP.game_object.set_depth(box, "1"); });
+        }
+    }], {config: {debug: true}});
+    h.PP.game.start("main");
+
+    box.ph_obj.emit("pointerdown");
+    h.set_pointer("main", 0, 0, true);
+    h.set_pointer("main", 0, 0, false);
+    h.set_key(h.PP.key_codes.SPACE, true);
+
+    assert.strictEqual(h.errors.length, 3);
+    assert.ok(h.errors[0].startsWith("Error in PP.game_object.set_alpha (parameter alpha):"));
+    assert.ok(h.errors[1].startsWith("Error in PP.game_object.set_visible (parameter visible):"));
+    assert.ok(h.errors[2].startsWith("Error in PP.game_object.set_depth (parameter depth):"));
+});
+
+test("without the debug mode, errors are thrown as they are", () => {
+    let { h, scene } = started_game();
+    assert.strictEqual(scene.pp_debug, undefined);
+    try {
+        h.PP.shapes.add_rectangle(scene, "0", 0, 10, 10, 0xFF0000);
+        assert.fail("No error thrown");
+    } catch (error) {
+        assert.strictEqual(error.function_name, undefined);
+        assert.strictEqual(error.parameter_name, undefined);
+    }
+});
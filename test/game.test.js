@@ -0,0 +1,58 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+const { noop, new_game, throws } = require("./helpers");
+
+const valid_config = () => ({canvas_width: 800, canvas_height: 600, canvas_id: "game_area", background_color: 0});
+
+test("PP.game.create passes the configuration to Phaser", () => {
+    let h = new_game([{name: "main"}], {config: {gravity_y: 300}});
+    let config = h.PP.game.ph_obj.config;
+
+    assert.strictEqual(config.width, 800);
+    assert.strictEqual(config.height, 600);
+    assert.strictEqual(config.parent, "game_area");
+    assert.deepEqual(config.physics.arcade.gravity, {x: 0, y: 300});
+    // The scenes are added after the creation, so that Phaser does not start the first one by itself
+    assert.strictEqual(config.scene, undefined);
+    assert.strictEqual(h.PP.game.ph_obj.scene.scenes.length, 1);
+});
+
+test("PP.game.create checks its parameters", () => {
+    let h = create_harness();
+    h.PP.scenes.add("main", noop, noop, noop, noop);
+
+    let cases = [
+        [{canvas_width: "800"},  "config.canvas_width is not a number"],
+        [{canvas_height: null},  "config.canvas_height is not a number"],
+        [{canvas_id: 3},         "config.canvas_id is not a string"],
+        [{canvas_width: 0},      "config.canvas_width is not a positive number"],
+        [{gravity_x: "1"},       "config.gravity_x is not a number"],
+        [{gravity_y: "1"},       "config.gravity_y is not a number"],
+        [{game_name: 1},         "config.game_name is not a string"],
+    ];
+    cases.forEach(([change, message]) => {
+        throws(() => h.PP.game.create(Object.assign(valid_config(), change)), message);
+    });
+});
+
+test("PP.game.create requires at least one scene", () => {
+    let h = create_harness();
+    throws(() => h.PP.game.create(valid_config()), "You need to add at least one scene!");
+});
+
+test("PP.game.start starts the scene", () => {
+    let h = new_game([{name: "first"}, {name: "second"}]);
+    h.PP.game.start("second");
+
+    assert.strictEqual(h.PP.scenes.get_current(), "second");
+    assert.ok(h.PP.game.ph_obj.scene.isActive("second"));
+    assert.ok(!h.PP.game.ph_obj.scene.isActive("first"));
+});
+
+test("PP.game.start checks its parameters", () => {
+    let h = new_game();
+    throws(() => h.PP.game.start(1), "scene_name is not a string");
+    throws(() => h.PP.game.start("other"), "Trying to start a non-existent scene: other");
+});
@@ -0,0 +1,127 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { started_game, throws, check_errors } = require("./helpers");
+
+test("PP.groups functions check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let bullet = PP.assets.sprite.load_spritesheet(scene, "bullet.png", 8, 8, 0, 1);
+    let image = PP.assets.image.load(scene, "bullet.png");
+    let group = PP.groups.create(scene, PP.physics.type.DYNAMIC);
+    let member = PP.groups.spawn(group, bullet, 0, 0, 0.5, 0.5);
+    let outsider = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+
+    check_errors(PP.groups.create, () => [scene], [
+        [0, "scene",      "scene should be a scene object"],
+        [1, "dynamic2",   "physics_type must be PP.physics.type.DYNAMIC or PP.physics.type.STATIC"],
+    ]);
+    check_errors(PP.groups.add, () => [group, PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0)], [
+        [0, {},           "group is not a valid group"],
+        [1, "obj",        "obj should be an object"],
+        [1, member,       "The object is already a member of the group"],
+    ]);
+    check_errors(PP.groups.spawn, () => [group, bullet, 0, 0, 0.5, 0.5], [
+        [0, [],           "group is not a valid group"],
+        [1, image,        "sprite is not a valid sprite object"],
+        [2, "0",          "x should be a number"],
+        [3, "0",          "y should be a number"],
+        [4, "0.5",        "pivot_x should be a number"],
+        [5, "0.5",        "pivot_y should be a number"],
+    ]);
+    check_errors(PP.groups.release, () => [group, member], [
+        [0, {},           "group is not a valid group"],
+        [1, outsider,     "The object is not a member of the group"],
+    ]);
+    throws(() => PP.groups.remove(group, outsider), "The object is not a member of the group");
+    throws(() => PP.groups.for_each(group, "fn"), "function_to_call should be a function");
+    throws(() => PP.groups.count_active("group"), "group is not a valid group");
+
+    PP.game_object.destroy(member);
+    throws(() => PP.groups.release(group, member), "The object has already been destroyed");
+});
+
+test("released members are reused by PP.groups.spawn", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let bullet = PP.assets.sprite.load_spritesheet(scene, "bullet.png", 8, 8, 0, 1);
+    let rocket = PP.assets.sprite.load_spritesheet(scene, "rocket.png", 16, 16, 0, 1);
+    let bullets = PP.groups.create(scene, PP.physics.type.DYNAMIC);
+
+    let first = PP.groups.spawn(bullets, bullet, 10, 20, 0.5, 0.5);
+    let second = PP.groups.spawn(bullets, bullet, 30, 40, 0.5, 0.5);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(first.physics_type, PP.physics.type.DYNAMIC);
+    assert.strictEqual(PP.groups.count_active(bullets), 2);
+
+    PP.physics.set_velocity_x(first, 300);
+    PP.groups.release(bullets, first);
+    assert.strictEqual(first.ph_obj.active, false);
+    assert.strictEqual(first.ph_obj.visible, false);
+    assert.strictEqual(first.ph_obj.body.enable, false);
+    assert.strictEqual(PP.physics.get_velocity_x(first), 0);
+    assert.strictEqual(PP.groups.count_active(bullets), 1);
+
+    let visited = [];
+    PP.groups.for_each(bullets, (s, member) => { visited.push([s, member]); });
+    assert.deepStrictEqual(visited, [[scene, second]]);
+
+    // A released sprite of another image is not reused
+    let other = PP.groups.spawn(bullets, rocket, 0, 0, 0, 0);
+    assert.ok(![first, second].includes(other));
+
+    let reused = PP.groups.spawn(bullets, bullet, 50, 60, 0, 1);
+    assert.strictEqual(reused, first);
+    assert.strictEqual(first.ph_obj.active, true);
+    assert.strictEqual(first.ph_obj.visible, true);
+    assert.strictEqual(first.ph_obj.body.enable, true);
+    assert.deepStrictEqual([first.ph_obj.x, first.ph_obj.y, first.ph_obj.originX, first.ph_obj.originY], [50, 60, 0, 1]);
+    assert.strictEqual(bullets.members.length, 3);
+    assert.strictEqual(PP.groups.count_active(bullets), 3);
+});
+
+test("destroyed members are removed from the group", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let bullet = PP.assets.sprite.load_spritesheet(scene, "bullet.png", 8, 8, 0, 1);
+    let bullets = PP.groups.create(scene);
+    let first = PP.groups.spawn(bullets, bullet, 0, 0, 0, 0);
+    let second = PP.groups.spawn(bullets, bullet, 0, 0, 0, 0);
+
+    // Members can be destroyed while visiting the group, and they are not visited any more
+    let visited = [];
+    PP.groups.for_each(bullets, (s, member) => { visited.push(member); PP.game_object.destroy(second); });
+    assert.deepStrictEqual(visited, [first]);
+    assert.strictEqual(PP.groups.count_active(bullets), 1);
+    assert.deepStrictEqual(Array.from(bullets.members), [first]);
+    assert.deepStrictEqual(Array.from(bullets.ph_objs), [first.ph_obj]);
+
+    // A removed member is not destroyed
+    PP.groups.remove(bullets, first);
+    assert.strictEqual(PP.groups.count_active(bullets), 0);
+    assert.ok(first.ph_obj.scene);
+});
+
+test("a group collides with an instance, including its members spawned later", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let bullet = PP.assets.sprite.load_spritesheet(scene, "bullet.png", 8, 8, 0, 1);
+    let bullets = PP.groups.create(scene, PP.physics.type.DYNAMIC);
+    let enemy = PP.shapes.add_rectangle(scene, 100, 0, 20, 20, 0xFF0000);
+    PP.physics.add(scene, enemy, PP.physics.type.DYNAMIC);
+
+    let hits = [];
+    PP.physics.add_overlap(scene, bullets, enemy, (s, hit_bullet, hit_enemy) => {
+        hits.push([hit_bullet, hit_enemy]);
+        PP.groups.release(bullets, hit_bullet);
+    });
+    let shot = PP.groups.spawn(bullets, bullet, 90, 0, 0, 0);
+    let overlap = scene.physics.colliders[0];
+    assert.strictEqual(overlap.object1, bullets.ph_objs);
+    assert.deepStrictEqual(Array.from(overlap.object1), [shot.ph_obj]);
+
+    // Phaser gives the single object first when it collides with a group
+    overlap.collide(enemy.ph_obj, shot.ph_obj);
+    assert.deepStrictEqual(hits, [[shot, enemy]]);
+    assert.strictEqual(PP.groups.count_active(bullets), 0);
+});
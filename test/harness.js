@@ -0,0 +1,130 @@
+// Load PoliPhaser (and, optionally, the scripts of a student game) in Node, on top of the fake Phaser of
+// mock_phaser.js. Every harness has its own fresh copy of the library, so tests do not affect each other.
+//
+// Example of a grading script:
+//
+//     const { create_harness } = require("./test/harness");
+//     const h = create_harness();
+//     h.load_script("src/scenes/test1.js");
+//     h.load_script("src/main.js");
+//     h.PP.game.start("test1");
+//     h.step(120);                         // Two seconds of game
+//     h.run("player_instance").ph_obj.x;   // Inspect the variables of the student
+
+const fs   = require("fs");
+const path = require("path");
+const vm   = require("vm");
+
+const { create_phaser, FRAME_TIME } = require("./mock_phaser");
+
+const ROOT = path.join(__dirname, "..");
+
+// An in-memory replacement of the browser localStorage.
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    get length()         { return this.items.size; }
+    key(i)               { return Array.from(this.items.keys())[i] || null; }
+    getItem(key)         { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value)  { this.items.set(key, String(value)); }
+    removeItem(key)      { this.items.delete(key); }
+    clear()              { this.items.clear(); }
+}
+
+/**
+ * Create a new harness.
+ * @param {object}   [options]
+ * @param {object}   [options.files]          The content of the data files that can be loaded (JSON maps, manifests, ...), by path.
+ * @param {string[]} [options.missing_files]  The paths of the files whose loading fails.
+ * @param {boolean}  [options.verbose]        If true, the console output of the game is printed. Default is false.
+ * @return The harness object.
+ */
+const create_harness = (options = {}) => {
+    let Phaser = create_phaser(options.files, options.missing_files);
+
+    let harness = {
+        Phaser   : Phaser,
+        logs     : [],      // Messages printed with console.log
+        warnings : [],      // Messages printed with console.warn
+        errors   : [],      // Messages printed with console.error
+    };
+
+    let fake_console = {
+        log   : (...args) => { harness.logs.push(args.join(" "));     if (options.verbose) console.log(...args); },
+        warn  : (...args) => { harness.warnings.push(args.join(" ")); if (options.verbose) console.warn(...args); },
+        error : (...args) => { harness.errors.push(args.join(" "));   if (options.verbose) console.error(...args); },
+    };
+
+    let context = vm.createContext({
+        Phaser  : Phaser,
+        console : fake_console,
+        window  : {localStorage: new MemoryStorage()},
+    });
+    harness.context = context;
+
+    /**
+     * Run a script file (path relative to the repository root) in the context of the game.
+     */
+    harness.load_script = (file_path) => {
+        let code = fs.readFileSync(path.join(ROOT, file_path), "utf8");
+        vm.runInContext(code, context, {filename: file_path});
+    };
+
+    /**
+     * Evaluate some code in the context of the game and return its value (e.g. a global variable of the student).
+     */
+    harness.run = (code) => {
+        return vm.runInContext(code, context);
+    };
+
+    /**
+     * Advance the game by some frames (60 per second): timers, tweens and update functions of the running scenes.
+     */
+    harness.step = (frames = 1) => {
+        for (let i = 0; i < frames; i++) {
+            harness.PP.game.ph_obj.step(harness.PP.game.ph_obj.time, FRAME_TIME);
+        }
+    };
+
+    /**
+     * Get the scene object with the given name, as received by the preload, create and update functions.
+     */
+    harness.get_scene = (scene_name) => {
+        return harness.PP.game.ph_obj.scene.getScene(scene_name);
+    };
+
+    /**
+     * Press (or release, with is_down false) a key in all the scenes, e.g. harness.set_key(harness.PP.key_codes.SPACE, true).
+     */
+    harness.set_key = (key_code, is_down) => {
+        harness.PP.game.ph_obj.scene.scenes.forEach(scene => {
+            let key = scene.input.keyboard.addKey(key_code);
+            if (key.isDown !== is_down) {
+                key.isDown = is_down;
+                key.emit(is_down ? "down" : "up", key);
+            }
+        });
+    };
+
+    /**
+     * Move the mouse pointer and press or release its button in the given scene, emitting the scene events.
+     */
+    harness.set_pointer = (scene_name, x, y, is_down) => {
+        let input = harness.get_scene(scene_name).input;
+        let pointer = input.activePointer;
+        let was_down = pointer.isDown;
+        Object.assign(pointer, {x: x, y: y, worldX: x, worldY: y, isDown: is_down});
+        input.emit("pointermove", pointer, []);
+        if (is_down !== was_down) {
+            input.emit(is_down ? "pointerdown" : "pointerup", pointer, []);
+        }
+    };
+
+    harness.run(fs.readFileSync(path.join(ROOT, "lib/poliphaser.js"), "utf8"));
+    harness.PP = harness.run("PP");
+
+    return harness;
+};
+
+module.exports = { create_harness, FRAME_TIME };
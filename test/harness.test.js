@@ -0,0 +1,32 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+
+// The same steps of a grading script, on the example scene of the repository.
+test("the example scene can be stepped and inspected", () => {
+    let h = create_harness();
+    h.load_script("src/scenes/test1.js");
+    // src/main.js starts the first scene itself, as index.html does
+    h.load_script("src/main.js");
+
+    let player = h.run("player_instance");
+    assert.strictEqual(h.PP.assets.sprite.get_current_animation(player), "walk");
+    assert.strictEqual(h.PP.assets.sprite.is_playing(player), true);
+    assert.deepStrictEqual(h.logs.slice(0, 2), ["Executing preload()", "Executing create()"]);
+
+    // The walk stops after two seconds
+    h.step(119);
+    assert.strictEqual(h.PP.assets.sprite.is_playing(player), true);
+    h.step(2);
+    assert.strictEqual(h.PP.assets.sprite.is_playing(player), false);
+    assert.strictEqual(h.logs.filter(l => l === "Executing update()").length, 121);
+});
+
+test("every harness has its own copy of the library", () => {
+    let first  = create_harness();
+    let second = create_harness();
+    first.PP.assets.list_images_id.push("1");
+    assert.strictEqual(second.PP.assets.list_images_id.length, 0);
+    assert.notStrictEqual(first.PP, second.PP);
+});
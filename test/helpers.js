@@ -0,0 +1,54 @@
+// Helpers shared by the test files.
+
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+
+const noop = () => {};
+
+/**
+ * Create a harness with a game made of the given scenes (by default, a single empty scene named "main"),
+ * without starting it. Scene functions can be given as {name, preload, create, update, destroy}.
+ */
+const new_game = (scenes = [{name: "main"}], options = {}) => {
+    let h = create_harness(options);
+    scenes.forEach(s => {
+        h.PP.scenes.add(s.name, s.preload || noop, s.create || noop, s.update || noop, s.destroy || noop);
+    });
+    h.PP.game.create(Object.assign({canvas_width: 800, canvas_height: 600, canvas_id: "game_area", background_color: 0}, options.config));
+    return h;
+};
+
+/**
+ * Create a harness with a started game made of a single scene, and return it with the scene object.
+ */
+const started_game = (options = {}) => {
+    let h = new_game([{name: "main"}], options);
+    h.PP.game.start("main");
+    return {h: h, scene: h.get_scene("main")};
+};
+
+/**
+ * Check that fn throws a PoliPhaser assertion error containing the given message.
+ */
+const throws = (fn, message) => {
+    assert.throws(fn, (err) => {
+        assert.ok(err.message.startsWith("Assertion failed: "), "Not an assertion error: " + err.message);
+        assert.ok(err.message.includes(message), "Expected '" + message + "' in: " + err.message);
+        return true;
+    });
+};
+
+/**
+ * Check the parameter errors of a function: args() returns a list of valid arguments, and each case is
+ * [index of the argument to replace, the wrong value, the expected message].
+ */
+const check_errors = (fn, args, cases) => {
+    cases.forEach(([index, value, message]) => {
+        let wrong_args = args();
+        wrong_args[index] = value;
+        throws(() => fn(...wrong_args), message);
+    });
+};
+
+module.exports = { noop, new_game, started_game, throws, check_errors };
@@ -0,0 +1,160 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { noop, started_game, throws, check_errors } = require("./helpers");
+
+test("PP.interactive.mouse.add and remove check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+
+    check_errors(PP.interactive.mouse.add, () => [box, "pointerdown", noop], [
+        [0, "box",          "obj should be an object"],
+        [0, {},             "obj is an object but it is not a valid object"],
+        [1, 1,              "type_of_event should be a string"],
+        [1, "click",        "type_of_event is invalid"],
+        [2, null,           "function_to_call should be a function"],
+        [1, "drag",         "The object is not draggable"],
+    ]);
+    check_errors(PP.interactive.mouse.remove, () => [box, "pointerdown", noop], [
+        [0, "box",          "obj should be an object"],
+        [0, {},             "obj is an object but it is not a valid object"],
+        [1, 1,              "type_of_event should be a string"],
+        [2, "noop",         "function_to_call should be a function"],
+    ]);
+    check_errors(PP.interactive.mouse.set_draggable, () => [box, true], [
+        [0, "box",          "obj should be an object"],
+        [0, {},             "obj is an object but it is not a valid object"],
+        [1, "yes",          "draggable should be a boolean"],
+    ]);
+    check_errors(PP.interactive.mouse.add_scene, () => [scene, "pointerdown", noop], [
+        [0, "scene",        "scene should be a scene object"],
+        [1, 1,              "type_of_event should be a string"],
+        [1, "pointerover",  "type_of_event is invalid"],
+        [2, null,           "function_to_call should be a function"],
+    ]);
+    check_errors(PP.interactive.mouse.remove_scene, () => [scene, "pointerdown", noop], [
+        [0, "scene",        "scene should be a scene object"],
+        [1, 1,              "type_of_event should be a string"],
+        [2, "noop",         "function_to_call should be a function"],
+    ]);
+    ["get_x", "get_y", "is_down"].forEach(name => {
+        throws(() => PP.interactive.mouse[name]("scene"), "scene should be a scene object");
+    });
+
+    PP.game_object.destroy(box);
+    throws(() => PP.interactive.mouse.add(box, "pointerdown", noop), "The object has already been destroyed");
+});
+
+test("mouse callbacks receive the scene and the object, and can be removed", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    let calls = [];
+    let on_down  = (s, obj) => calls.push(["down", s, obj]);
+    let on_wheel = (s, obj, delta_y) => calls.push(["wheel", s, obj, delta_y]);
+
+    PP.interactive.mouse.add(box, "pointerdown", on_down);
+    PP.interactive.mouse.add(box, "wheel", on_wheel);
+    box.ph_obj.emit("pointerdown");
+    box.ph_obj.emit("wheel", {}, 0, 120);
+    assert.deepStrictEqual(calls, [["down", scene, box], ["wheel", scene, box, 120]]);
+
+    PP.interactive.mouse.remove(box, "pointerdown", on_down);
+    PP.interactive.mouse.remove(box, "wheel");
+    box.ph_obj.emit("pointerdown");
+    box.ph_obj.emit("wheel", {}, 0, 120);
+    assert.strictEqual(calls.length, 2);
+});
+
+test("draggable objects follow the pointer and emit the drag events", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    let dragged = 0;
+
+    PP.interactive.mouse.set_draggable(box, true);
+    PP.interactive.mouse.set_draggable(box, true);  // The object is moved only once per event
+    PP.interactive.mouse.add(box, "drag", () => dragged++);
+    box.ph_obj.emit("drag", {}, 40, 50);
+    assert.deepEqual(PP.game_object.get_position(box), {x: 40, y: 50});
+    assert.strictEqual(dragged, 1);
+    assert.strictEqual(box.ph_obj.listenerCount("drag"), 2);
+});
+
+test("mouse interactions added to a group apply to its current and future members", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let group = PP.groups.create(scene);
+    let first = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    let second = PP.shapes.add_rectangle(scene, 20, 0, 10, 10, 0xFF0000);
+    let hit = [];
+
+    PP.groups.add(group, first);
+    PP.interactive.mouse.add(group, "pointerup", (s, obj) => hit.push(obj));
+    PP.groups.add(group, second);
+    first.ph_obj.emit("pointerup");
+    second.ph_obj.emit("pointerup");
+    assert.deepStrictEqual(hit, [first, second]);
+
+    PP.interactive.mouse.remove(group, "pointerup");
+    second.ph_obj.emit("pointerup");
+    assert.strictEqual(hit.length, 2);
+});
+
+test("scene interactions and the pointer state follow the mouse", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let clicks = 0;
+    let on_click = () => clicks++;
+
+    PP.interactive.mouse.add_scene(scene, "pointerdown", on_click);
+    h.set_pointer("main", 100, 200, true);
+    assert.strictEqual(clicks, 1);
+    assert.strictEqual(PP.interactive.mouse.get_x(scene), 100);
+    assert.strictEqual(PP.interactive.mouse.get_y(scene), 200);
+    assert.strictEqual(PP.interactive.mouse.is_down(scene), true);
+
+    // The position is in the world, even if the camera scrolls while the mouse does not move
+    PP.camera.scroll_to(scene, 300, 50);
+    assert.strictEqual(PP.interactive.mouse.get_x(scene), 400);
+    assert.strictEqual(PP.interactive.mouse.get_y(scene), 250);
+    PP.camera.scroll_to(scene, 0, 0);
+
+    h.set_pointer("main", 100, 200, false);
+    PP.interactive.mouse.remove_scene(scene, "pointerdown", on_click);
+    h.set_pointer("main", 100, 200, true);
+    assert.strictEqual(clicks, 1);
+});
+
+test("PP.interactive.kb checks its parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    check_errors(PP.interactive.kb.is_key_down, () => [scene, PP.key_codes.SPACE], [
+        [0, "scene",  "scene should be a scene object"],
+        [1, "SPACE",  "key is not a valid key"],
+    ]);
+    ["on_key_down", "on_key_up"].forEach(name => {
+        check_errors(PP.interactive.kb[name], () => [scene, PP.key_codes.SPACE, noop], [
+            [0, "scene",  "scene should be a scene object"],
+            [1, 1000,     "key is not a valid key"],
+            [2, null,     "function_to_call should be a function"],
+        ]);
+    });
+});
+
+test("keyboard state and callbacks follow the keys", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let events = [];
+
+    PP.interactive.kb.on_key_down(scene, PP.key_codes.LEFT, (s) => events.push(["down", s]));
+    PP.interactive.kb.on_key_up(scene, PP.key_codes.LEFT, (s) => events.push(["up", s]));
+
+    assert.strictEqual(PP.interactive.kb.is_key_down(scene, PP.key_codes.LEFT), false);
+    h.set_key(PP.key_codes.LEFT, true);
+    assert.strictEqual(PP.interactive.kb.is_key_down(scene, PP.key_codes.LEFT), true);
+    assert.strictEqual(PP.interactive.kb.is_key_down(scene, PP.key_codes.RIGHT), false);
+    h.set_key(PP.key_codes.LEFT, false);
+    assert.deepStrictEqual(events, [["down", scene], ["up", scene]]);
+});
@@ -0,0 +1,74 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+const { new_game, started_game, throws } = require("./helpers");
+
+// Get the message of the error thrown by fn.
+const error_message = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    assert.fail("No error thrown");
+};
+
+test("the messages are in English by default", () => {
+    let { h, scene } = started_game();
+    assert.strictEqual(error_message(() => h.PP.shapes.add_rectangle(scene, "0", 0, 10, 10, 0)),
+                       "Assertion failed: Parameter error: x should be a number.");
+});
+
+test("config.language selects the language of errors and warnings", () => {
+    let h = new_game([{name: "main"}], {config: {language: "it"}});
+    h.PP.game.start("main");
+    let scene = h.get_scene("main");
+
+    assert.strictEqual(error_message(() => h.PP.shapes.add_rectangle(scene, "0", 0, 10, 10, 0)),
+                       "Asserzione fallita: Errore nei parametri: x dovrebbe essere un numero.");
+    assert.strictEqual(error_message(() => h.PP.scenes.start("menu")),
+                       "Asserzione fallita: Non esiste nessuna scena chiamata 'menu'.");
+
+    h.PP.assets.image.load(scene, "a.png");
+    h.PP.assets.image.load(scene, "a.png");
+    assert.ok(h.warnings[0].startsWith("ATTENZIONE: stai provando a caricare più volte la stessa immagine/spritesheet (a.png)"));
+
+    throws(() => new_game([{name: "main"}], {config: {language: "xx"}}), "config.language is not an available language");
+});
+
+test("every message is translated in Italian", () => {
+    let h = create_harness();
+    let en = h.PP.messages.get_language("en");
+    let it = h.PP.messages.get_language("it");
+    Object.keys(en).forEach(message_id => {
+        assert.notStrictEqual(it[message_id], en[message_id], "Not translated: " + message_id);
+        assert.deepStrictEqual(it[message_id].match(/\{\w+\}/g), en[message_id].match(/\{\w+\}/g), "Different placeholders: " + message_id);
+    });
+});
+
+test("PP.messages.add_language adds a language, falling back to English for the missing messages", () => {
+    let h = create_harness();
+    h.PP.messages.add_language("es", {param_number: "Error de parámetro: {name} debería ser un número."});
+    throws(() => h.PP.messages.add_language("es", {param_numbr: "..."}), "'param_numbr' is not a valid message id");
+    throws(() => h.PP.messages.add_language("es", {param_number: 1}), "messages.param_number should be a string");
+    throws(() => h.PP.messages.add_language(1, {}), "language should be a string");
+    throws(() => h.PP.messages.get_language("fr"), "language is not an available language");
+
+    h.PP.scenes.add("main", () => {}, () => {}, () => {}, () => {});
+    h.PP.game.create({canvas_width: 800, canvas_height: 600, canvas_id: "game_area", language: "es"});
+    h.PP.game.start("main");
+    let scene = h.get_scene("main");
+
+    assert.strictEqual(error_message(() => h.PP.shapes.add_rectangle(scene, "0", 0, 10, 10, 0)),
+                       "Assertion failed: Error de parámetro: x debería ser un número.");
+    assert.strictEqual(error_message(() => h.PP.scenes.start("menu")),
+                       "Assertion failed: No scene named 'menu' exist.");
+});
+
+test("in debug mode, the error shown on the canvas is translated", () => {
+    let h = new_game([{name: "main", update: () => { h.PP.timers.add(); }}], {config: {debug: true, language: "it"}});
+    h.PP.game.start("main");
+    h.step();
+    assert.ok(h.errors[0].startsWith("Errore in PP.timers.add (parametro scene):\nAsserzione fallita:"));
+});
@@ -0,0 +1,762 @@
+// A lightweight fake of the parts of Phaser used by PoliPhaser, to run the library (and student games) in Node
+// without a browser. Nothing is drawn: the game objects only keep their state (position, scale, animation, ...)
+// so that tests can inspect it. The loader "loads" files instantly, taking the content of data files
+// (JSON maps, manifests, ...) from the files object given to create_phaser.
+
+const FRAME_TIME = 1000 / 60;   // Duration in milliseconds of a frame
+
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+    on(event, fn) {
+        (this.listeners[event] = this.listeners[event] || []).push({fn: fn, once: false});
+        return this;
+    }
+    once(event, fn) {
+        (this.listeners[event] = this.listeners[event] || []).push({fn: fn, once: true});
+        return this;
+    }
+    off(event, fn) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(l => fn !== undefined && l.fn !== fn);
+        }
+        return this;
+    }
+    emit(event, ...args) {
+        let list = this.listeners[event] || [];
+        this.listeners[event] = list.filter(l => !l.once);
+        list.forEach(l => l.fn(...args));
+        return list.length > 0;
+    }
+    listenerCount(event) {
+        return (this.listeners[event] || []).length;
+    }
+    removeAllListeners() {
+        this.listeners = {};
+        return this;
+    }
+}
+
+/************* GAME OBJECTS *************/
+
+class GameObject extends EventEmitter {
+    constructor(scene, type, x, y) {
+        super();
+        this.scene = scene;
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.originX = 0.5;
+        this.originY = 0.5;
+        this.scaleX = 1;
+        this.scaleY = 1;
+        this.angle = 0;
+        this.flipX = false;
+        this.flipY = false;
+        this.visible = true;
+        this.active = true;
+        this.alpha = 1;
+        this.tint = 0xFFFFFF;
+        this.depth = 0;
+        this.scrollFactorX = 1;
+        this.scrollFactorY = 1;
+        this.width = 0;
+        this.height = 0;
+        this.input = null;
+        this.body = null;
+        scene.sys.display_list.push(this);
+    }
+    get displayWidth()     { return this.width * this.scaleX; }
+    get displayHeight()    { return this.height * this.scaleY; }
+    getBounds() {
+        let bounds = {x: this.x - this.originX * this.displayWidth, y: this.y - this.originY * this.displayHeight,
+                      width: this.displayWidth, height: this.displayHeight};
+        bounds.contains = (x, y) => x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+        return bounds;
+    }
+    setOrigin(x, y)        { this.originX = x; this.originY = y === undefined ? x : y; return this; }
+    setPosition(x, y)      { this.x = x; this.y = y; return this; }
+    setScale(x, y)         { this.scaleX = x; this.scaleY = y === undefined ? x : y; return this; }
+    setAngle(angle)        { this.angle = angle; return this; }
+    setFlipX(flip)         { this.flipX = flip; return this; }
+    setFlipY(flip)         { this.flipY = flip; return this; }
+    setVisible(visible)    { this.visible = visible; return this; }
+    setActive(active)      { this.active = active; return this; }
+    setAlpha(alpha)        { this.alpha = alpha; return this; }
+    setTint(tint)          { this.tint = tint; return this; }
+    setDepth(depth)        { this.depth = depth; return this; }
+    setScrollFactor(x, y)  { this.scrollFactorX = x; this.scrollFactorY = y === undefined ? x : y; return this; }
+    setInteractive() {
+        if (!this.input) {
+            this.input = {enabled: true, draggable: false};
+        }
+        this.input.enabled = true;
+        return this;
+    }
+    destroy() {
+        this.emit("destroy", this);
+        let list = this.scene.sys.display_list;
+        list.splice(list.indexOf(this), 1);
+        this.scene = undefined;
+        this.body = null;
+        this.removeAllListeners();
+    }
+}
+
+// Only Images, Sprites and Texts can be flipped and tinted, as in Phaser.
+class Shape extends GameObject {
+    constructor(scene, type, x, y, width, height) {
+        super(scene, type, x, y);
+        this.width = width;
+        this.height = height;
+        this.fillColor = undefined;
+        this.fillAlpha = 1;
+        this.isStroked = false;
+        this.lineWidth = 1;
+    }
+    setFillStyle(color, alpha)          { this.fillColor = color; this.fillAlpha = alpha === undefined ? 1 : alpha; return this; }
+    setStrokeStyle(width, color, alpha) { this.isStroked = true; this.lineWidth = width; this.strokeColor = color; this.strokeAlpha = alpha; return this; }
+    setLineWidth(width)                 { this.lineWidth = width; return this; }
+    setSize(width, height)              { this.width = width; this.height = height; return this; }
+}
+Shape.prototype.setFlipX = undefined;
+Shape.prototype.setFlipY = undefined;
+Shape.prototype.setTint  = undefined;
+
+class AnimationState {
+    constructor(parent) {
+        this.parent = parent;
+        this.currentAnim = null;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.reversed = false;
+    }
+    generateFrameNumbers(key, config) {
+        let frames = [];
+        for (let i = config.start; i <= config.end; i++) {
+            frames.push({key: key, frame: i});
+        }
+        return frames;
+    }
+    play(key, ignore_if_playing, reversed = false) {
+        if (ignore_if_playing && this.isPlaying && this.currentAnim && this.currentAnim.key === key) {
+            return this.parent;
+        }
+        this.currentAnim = this.parent.scene.anims.get(key);
+        this.isPlaying = true;
+        this.isPaused = false;
+        this.reversed = reversed;
+        this.parent.emit("animationstart", this.currentAnim, this.currentAnim.frames[0], this.parent);
+        return this.parent;
+    }
+    playReverse(key, ignore_if_playing) { return this.play(key, ignore_if_playing, true); }
+    stop()   { this.isPlaying = false; return this.parent; }
+    pause()  { this.isPlaying = false; this.isPaused = true; return this.parent; }
+    resume() { if (this.isPaused) { this.isPlaying = true; this.isPaused = false; } return this.parent; }
+}
+
+class Sprite extends GameObject {
+    constructor(scene, x, y, texture, frame) {
+        super(scene, "Sprite", x, y);
+        this.texture = {key: texture};
+        this.frame = frame;
+        this.anims = new AnimationState(this);
+    }
+}
+
+class Text extends GameObject {
+    constructor(scene, type, x, y, text, style) {
+        super(scene, type, x, y);
+        this.text = text;
+        this.style = style;
+    }
+    setText(text) { this.text = text; return this; }
+}
+
+/************* PHYSICS *************/
+
+class Body {
+    constructor(game_object, is_static) {
+        this.gameObject = game_object;
+        this.physicsType = is_static ? 1 : 0;
+        this.velocity = {x: 0, y: 0};
+        this.acceleration = {x: 0, y: 0};
+        this.bounce = {x: 0, y: 0};
+        this.immovable = is_static;
+        this.allowGravity = !is_static;
+        this.collideWorldBounds = false;
+        this.enable = true;
+        this.updates_from_game_object = 0;
+    }
+    setVelocityX(value)           { this.velocity.x = value; return this; }
+    setVelocityY(value)           { this.velocity.y = value; return this; }
+    setAccelerationX(value)       { this.acceleration.x = value; return this; }
+    setAccelerationY(value)       { this.acceleration.y = value; return this; }
+    setBounce(x, y)               { this.bounce.x = x; this.bounce.y = y; return this; }
+    setImmovable(value)           { this.immovable = value; return this; }
+    setAllowGravity(value)        { this.allowGravity = value; return this; }
+    setCollideWorldBounds(value)  { this.collideWorldBounds = value; return this; }
+    stop()                        { this.velocity = {x: 0, y: 0}; this.acceleration = {x: 0, y: 0}; return this; }
+    reset(x, y)                   { this.gameObject.setPosition(x, y); this.velocity = {x: 0, y: 0}; return this; }
+    updateFromGameObject()        { this.updates_from_game_object++; return this; }
+}
+
+// Colliders are not simulated: tests call collider.collide(ph_obj1, ph_obj2) to simulate a contact.
+class Collider {
+    constructor(type, object1, object2, callback) {
+        this.type = type;
+        this.object1 = object1;
+        this.object2 = object2;
+        this.callback = callback;
+    }
+    collide(ph_obj1, ph_obj2) {
+        this.callback(ph_obj1, ph_obj2);
+    }
+}
+
+/************* TILEMAPS *************/
+
+class TilemapLayer extends GameObject {
+    constructor(scene, map, layer_data, x, y) {
+        super(scene, "TilemapLayer", x, y);
+        this.map = map;
+        this.collision_indexes = [];
+        this.tiles = layer_data.data.map((index, i) => ({
+            index: index,
+            x: i % map.width,
+            y: Math.floor(i / map.width),
+            tilemapLayer: this
+        }));
+    }
+    getTileAt(x, y, non_null) {
+        let tile = this.tiles[y * this.map.width + x];
+        if (!tile || (tile.index === -1 && !non_null)) {
+            return null;
+        }
+        return tile;
+    }
+    putTileAt(index, x, y)    { this.tiles[y * this.map.width + x].index = index; }
+    removeTileAt(x, y)        { this.tiles[y * this.map.width + x].index = -1; }
+    setCollision(indexes)     { this.collision_indexes = this.collision_indexes.concat(indexes); return this; }
+}
+
+class Tilemap {
+    constructor(scene, data, config) {
+        this.scene = scene;
+        this.data = data;
+        this.tileWidth = data.tilewidth || config.tileWidth;
+        this.tileHeight = data.tileheight || config.tileHeight;
+        this.width = data.width;
+        this.height = data.height;
+        this.tilesets = [];
+    }
+    addTilesetImage(name, key) {
+        let known = (this.data.tilesets || [{name: name}]).some(t => t.name === name);
+        if (!known) {
+            return null;
+        }
+        let tileset = {name: name, key: key};
+        this.tilesets.push(tileset);
+        return tileset;
+    }
+    createLayer(id, tilesets, x, y) {
+        let layer_data = typeof id === "number" ? this.data.layers[id] : this.data.layers.find(l => l.name === id && l.type === "tilelayer");
+        if (!layer_data) {
+            return null;
+        }
+        return new TilemapLayer(this.scene, this, layer_data, x, y);
+    }
+    getObjectLayer(name) {
+        return this.data.layers.find(l => l.name === name && l.type === "objectgroup") || null;
+    }
+}
+
+// Convert a CSV map into the same structure of a Tiled JSON map with a single layer.
+const csv_to_map = (csv) => {
+    let rows = csv.trim().split("\n").map(row => row.split(",").map(Number));
+    return {width: rows[0].length, height: rows.length, layers: [{name: "csv", type: "tilelayer", data: [].concat(...rows)}]};
+};
+
+/************* SCENE PLUGINS *************/
+
+class LoaderPlugin extends EventEmitter {
+    constructor(scene, phaser) {
+        super();
+        this.scene = scene;
+        this.phaser = phaser;
+        this.queue = [];
+        this.loaded = [];
+    }
+    // As in Phaser, a file whose key is already in the cache (e.g. loaded by a previous run of the scene) is silently skipped
+    add_to_queue(type, key, url, extra) {
+        let cache = this.phaser.cache;
+        let cached = {
+            image: cache.textures, spritesheet: cache.textures, atlas: cache.textures, bitmapfont: cache.textures,
+            json: cache.json, tilemapJSON: cache.tilemaps, tilemapCSV: cache.tilemaps
+        }[type];
+        if (cached !== undefined && cached[key] !== undefined) {
+            return;
+        }
+        this.queue.push(Object.assign({type: type, key: key, url: url}, extra));
+    }
+    image(key, url)                          { this.add_to_queue("image", key, url); }
+    spritesheet(key, url, config)            { this.add_to_queue("spritesheet", key, url, {config: config}); }
+    atlas(key, url, json_url)                { this.add_to_queue("atlas", key, url, {json_url: json_url}); }
+    bitmapFont(key, url, xml_url)            { this.add_to_queue("bitmapfont", key, url, {xml_url: xml_url}); }
+    audio(key, urls)                         { this.add_to_queue("audio", key, [].concat(urls)[0], {urls: urls}); }
+    json(key, url)                           { this.add_to_queue("json", key, url); }
+    tilemapTiledJSON(key, url)               { this.add_to_queue("tilemapJSON", key, url); }
+    tilemapCSV(key, url)                     { this.add_to_queue("tilemapCSV", key, url); }
+    addFile(file)                            { this.queue.push(file); }
+
+    // Process all the queued files, including the ones added while loading
+    start() {
+        let total = this.queue.length;
+        let done = 0;
+        while (this.queue.length > 0) {
+            let file = this.queue.shift();
+            if (this.phaser.missing_files.includes(file.url)) {
+                this.emit("loaderror", file);
+            } else {
+                this.process(file);
+                this.loaded.push(file);
+            }
+            done++;
+            total = done + this.queue.length;
+            this.emit("progress", done / total);
+        }
+        this.emit("complete");
+    }
+    process(file) {
+        let cache = this.phaser.cache;
+        let data = this.phaser.files[file.url];
+        switch (file.type) {
+            case "image":
+            case "bitmapfont":
+                cache.textures[file.key] = {frame_names: []};
+                break;
+            case "spritesheet":
+                cache.textures[file.key] = {frame_names: [], config: file.config};
+                break;
+            case "atlas":
+                cache.textures[file.key] = {frame_names: (this.phaser.files[file.json_url] || {frame_names: []}).frame_names};
+                break;
+            case "tilemapJSON":
+                cache.tilemaps[file.key] = data;
+                break;
+            case "tilemapCSV":
+                cache.tilemaps[file.key] = csv_to_map(data);
+                break;
+            case "json":
+                cache.json[file.key] = data;
+                this.emit("filecomplete-json-" + file.key, file.key, "json", data);
+                break;
+        }
+    }
+}
+
+class Keyboard {
+    constructor() {
+        this.keys = {};
+    }
+    addKey(code) {
+        if (!this.keys[code]) {
+            this.keys[code] = Object.assign(new EventEmitter(), {keyCode: code, isDown: false});
+        }
+        return this.keys[code];
+    }
+}
+
+class Camera extends EventEmitter {
+    constructor() {
+        super();
+        this.scrollX = 0;
+        this.scrollY = 0;
+        this.zoom = 1;
+        this.follow_target = null;
+        this.bounds = null;
+        this.effects = [];
+    }
+    startFollow(target, round, lerp_x, lerp_y) { this.follow_target = target; this.lerp = {x: lerp_x, y: lerp_y}; }
+    stopFollow()                   { this.follow_target = null; }
+    setBounds(x, y, width, height) { this.bounds = {x: x, y: y, width: width, height: height}; }
+    setScroll(x, y)                { this.scrollX = x; this.scrollY = y; }
+    setZoom(zoom)                  { this.zoom = zoom; }
+    // The zoom is not simulated: the world point only depends on the scroll
+    getWorldPoint(x, y)            { return {x: x + this.scrollX, y: y + this.scrollY}; }
+    shake(duration, intensity)     { this.effects.push({type: "shake", duration: duration, intensity: intensity}); }
+    flash(duration, r, g, b)       { this.effects.push({type: "flash", duration: duration, color: [r, g, b]}); }
+    fadeIn(duration, r, g, b)      { this.effects.push({type: "fadein", duration: duration, color: [r, g, b]}); this.emit("camerafadeincomplete"); }
+    fadeOut(duration, r, g, b)     { this.effects.push({type: "fadeout", duration: duration, color: [r, g, b]}); this.emit("camerafadeoutcomplete"); }
+}
+
+class Clock {
+    constructor() {
+        this.events = [];
+    }
+    addEvent(config) {
+        let timer = {
+            delay: config.delay, callback: config.callback, repeat: config.repeat || 0,
+            elapsed: 0, paused: false, removed: false,
+            remove() { this.removed = true; }
+        };
+        this.events.push(timer);
+        return timer;
+    }
+    update(delta) {
+        this.events.forEach(timer => {
+            if (timer.paused || timer.removed) {
+                return;
+            }
+            timer.elapsed += delta;
+            while (!timer.removed && timer.elapsed >= timer.delay) {
+                timer.elapsed -= timer.delay;
+                timer.callback();
+                if (timer.repeat === 0) {
+                    timer.removed = true;
+                } else if (timer.repeat > 0) {
+                    timer.repeat--;
+                }
+            }
+        });
+        this.events = this.events.filter(timer => !timer.removed);
+    }
+}
+
+// Tweens jump to their target values when their duration (and delay) is elapsed; repeat and yoyo are not simulated.
+class TweenManager {
+    constructor() {
+        this.tweens = [];
+    }
+    add(config) {
+        let tween = {config: config, elapsed: 0, stopped: false, stop() { this.stopped = true; }};
+        this.tweens.push(tween);
+        return tween;
+    }
+    update(delta) {
+        this.tweens.forEach(tween => {
+            tween.elapsed += delta;
+            if (!tween.stopped && tween.elapsed >= tween.config.duration + (tween.config.delay || 0)) {
+                tween.stopped = true;
+                ["x", "y", "alpha", "angle", "scaleX", "scaleY"].forEach(p => {
+                    if (tween.config[p] !== undefined && !tween.config.yoyo) {
+                        tween.config.targets[p] = tween.config[p];
+                    }
+                });
+                if (tween.config.onComplete) {
+                    tween.config.onComplete();
+                }
+            }
+        });
+        this.tweens = this.tweens.filter(tween => !tween.stopped);
+    }
+}
+
+class Sound {
+    constructor(manager, key, config) {
+        this.manager = manager;
+        this.key = key;
+        this.volume = config.volume === undefined ? 1 : config.volume;
+        this.loop = config.loop || false;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.destroyed = false;
+    }
+    play()             { this.isPlaying = true; this.isPaused = false; return true; }
+    stop()             { this.isPlaying = false; this.isPaused = false; return true; }
+    pause()            { if (this.isPlaying) { this.isPlaying = false; this.isPaused = true; } return true; }
+    resume()           { if (this.isPaused) { this.isPlaying = true; this.isPaused = false; } return true; }
+    setLoop(loop)      { this.loop = loop; return this; }
+    setVolume(volume)  { this.volume = volume; return this; }
+    destroy() {
+        this.destroyed = true;
+        this.isPlaying = false;
+        this.manager.sounds.splice(this.manager.sounds.indexOf(this), 1);
+    }
+}
+
+class AnimationManager {
+    constructor() {
+        this.anims = {};
+    }
+    create(config) {
+        this.anims[config.key] = {
+            key: config.key,
+            frames: config.frames.map(f => ({textureKey: f.key, textureFrame: f.frame})),
+            frameRate: config.frameRate,
+            repeat: config.repeat
+        };
+        return this.anims[config.key];
+    }
+    exists(key) { return this.anims[key] !== undefined; }
+    get(key)    { return this.anims[key]; }
+}
+
+/************* SCENES AND GAME *************/
+
+class Scene {
+    constructor(key) {
+        this.sys = {settings: {key: key, data: {}, status: "pending"}, display_list: []};
+    }
+}
+
+// Give to a scene everything it has in Phaser after the game boots it.
+const boot_scene = (scene, game) => {
+    let phaser = game.phaser;
+    scene.game = game;
+    scene.sys.game = game;
+    scene.events = new EventEmitter();
+    scene.load = new LoaderPlugin(scene, phaser);
+    scene.textures = {
+        get: (key) => {
+            let texture = phaser.cache.textures[key] || {frame_names: []};
+            return {key: key, getFrameNames: () => texture.frame_names.slice()};
+        },
+        exists: (key) => phaser.cache.textures[key] !== undefined
+    };
+    scene.children = {list: scene.sys.display_list};
+    scene.cache = {
+        json: {exists: (key) => phaser.cache.json[key] !== undefined, get: (key) => phaser.cache.json[key]}
+    };
+    scene.anims = game.anims;
+    scene.sound = game.sound;
+    scene.add = {
+        image:      (x, y, key)                    => Object.assign(new GameObject(scene, "Image", x, y), {texture: {key: key}}),
+        sprite:     (x, y, key, frame)             => new Sprite(scene, x, y, key, frame),
+        text:       (x, y, text, style)            => new Text(scene, "Text", x, y, text, style),
+        bitmapText: (x, y, font, text, size)       => Object.assign(new Text(scene, "BitmapText", x, y, text, {}), {font: font, fontSize: size}),
+        rectangle:  (x, y, w, h, color, alpha)     => new Shape(scene, "Rectangle", x, y, w, h).setFillStyle(color, alpha),
+        circle:     (x, y, r, color, alpha)        => Object.assign(new Shape(scene, "Arc", x, y, 2 * r, 2 * r).setFillStyle(color, alpha), {radius: r}),
+        ellipse:    (x, y, w, h, color, alpha)     => new Shape(scene, "Ellipse", x, y, w, h).setFillStyle(color, alpha),
+        line:       (x, y, x1, y1, x2, y2, color)  => Object.assign(new Shape(scene, "Line", x, y, 0, 0), {points: [x1, y1, x2, y2], strokeColor: color, isStroked: true}),
+        polygon:    (x, y, points, color, alpha)   => Object.assign(new Shape(scene, "Polygon", x, y, 0, 0).setFillStyle(color, alpha), {points: points}),
+        graphics:   ()                             => new Graphics(scene),
+        particles:  (x, y, key, config)            => new ParticleEmitter(scene, x, y, key, config),
+    };
+    scene.make = {
+        tilemap: (config) => new Tilemap(scene, phaser.cache.tilemaps[config.key], config)
+    };
+    scene.input = Object.assign(new EventEmitter(), {
+        activePointer: {
+            x: 0, y: 0, worldX: 0, worldY: 0, isDown: false,
+            positionToCamera(camera) { return camera.getWorldPoint(this.x, this.y); }
+        },
+        keyboard: new Keyboard(),
+        setDraggable: (obj, value) => { obj.input.draggable = value; },
+        // The interactive objects under the pointer, which gets its position in the world
+        hitTestPointer: (pointer) => {
+            let camera = scene.cameras.main;
+            Object.assign(pointer, {worldX: pointer.x + camera.scrollX, worldY: pointer.y + camera.scrollY});
+            return scene.sys.display_list.filter(obj => obj.input && obj.input.enabled && obj.visible && typeof obj.getBounds === "function" &&
+                                                        obj.getBounds().contains(pointer.worldX, pointer.worldY));
+        },
+        // The topmost object first
+        sortGameObjects: (objects, pointer) => {
+            let list = scene.sys.display_list;
+            return objects.sort((a, b) => b.depth - a.depth || list.indexOf(b) - list.indexOf(a));
+        }
+    });
+    scene.physics = {
+        colliders: [],
+        world: {bounds: null, setBounds(x, y, width, height) { this.bounds = {x: x, y: y, width: width, height: height}; }},
+        add: {
+            existing: (obj, is_static) => { obj.body = new Body(obj, is_static); return obj; },
+            collider: (o1, o2, cb) => { let c = new Collider("collider", o1, o2, cb); scene.physics.colliders.push(c); return c; },
+            overlap:  (o1, o2, cb) => { let c = new Collider("overlap", o1, o2, cb); scene.physics.colliders.push(c); return c; },
+        }
+    };
+    scene.cameras = {main: new Camera()};
+    scene.time = new Clock();
+    scene.tweens = new TweenManager();
+};
+
+// Minimal Graphics object, drawing nothing but recording the number of commands.
+class Graphics extends GameObject {
+    constructor(scene) {
+        super(scene, "Graphics", 0, 0);
+        this.commands = [];
+    }
+    clear()                 { this.commands = []; return this; }
+    lineStyle(...args)      { this.commands.push(["lineStyle", ...args]); return this; }
+    fillStyle(...args)      { this.commands.push(["fillStyle", ...args]); return this; }
+    strokeRect(...args)     { this.commands.push(["strokeRect", ...args]); return this; }
+    fillRect(...args)       { this.commands.push(["fillRect", ...args]); return this; }
+    fillCircle(...args)     { this.commands.push(["fillCircle", ...args]); return this; }
+}
+Graphics.prototype.getBounds = undefined;
+
+// Particle emitters (Phaser 3.60 and later) record their configuration and what they have been asked to do.
+class ParticleEmitter extends GameObject {
+    constructor(scene, x, y, key, config) {
+        super(scene, "ParticleEmitter", x, y);
+        this.texture = {key: key};
+        this.config = config;
+        this.emitting = config.emitting;
+        this.explosions = [];
+        this.follow = null;
+    }
+    explode(count, x, y)                    { this.explosions.push([count, x, y]); return this; }
+    start()                                 { this.emitting = true; return this; }
+    stop()                                  { this.emitting = false; return this; }
+    startFollow(target, offset_x, offset_y) { this.follow = {target: target, offset_x: offset_x, offset_y: offset_y}; return this; }
+    stopFollow()                            { this.follow = null; return this; }
+}
+ParticleEmitter.prototype.getBounds = undefined;
+
+// As in Phaser, the first scene of the config is started automatically when the game boots, together with the
+// scenes started before the boot. Phaser boots the game asynchronously after its creation; here the boot
+// happens at the first start (or step), which is the same for code creating and starting the game at once.
+class SceneManager {
+    constructor(game, scenes) {
+        this.game = game;
+        this.scenes = [];
+        this.booted = false;
+        this.starts_at_boot = {};   // The data of the scenes to start at boot, by key
+        scenes.forEach((scene, i) => this.add(scene.sys.settings.key, scene, i === 0));
+    }
+    add(key, scene, auto_start = false) {
+        boot_scene(scene, this.game);
+        this.scenes.push(scene);
+        if (auto_start && this.booted) {
+            this.start(key);
+        } else if (auto_start) {
+            this.starts_at_boot[key] = {};
+        }
+    }
+    boot() {
+        this.booted = true;
+        this.scenes.map(scene => scene.sys.settings.key).filter(key => key in this.starts_at_boot).forEach(key => {
+            this.start(key, this.starts_at_boot[key]);
+        });
+    }
+    getScene(key) {
+        return this.scenes.find(scene => scene.sys.settings.key === key);
+    }
+    start(key, data = {}) {
+        if (!this.booted) {
+            this.starts_at_boot[key] = data;
+            this.boot();
+            return;
+        }
+        let scene = this.getScene(key);
+        if (["running", "paused"].includes(scene.sys.settings.status)) {
+            this.shutdown(scene);
+        }
+        scene.sys.settings.data = data;
+        scene.sys.settings.status = "running";
+        scene.init(data);
+        scene.preload();
+        scene.load.start();
+        scene.create(data);
+    }
+    launch(key, data) {
+        this.start(key, data);
+    }
+    stop(key) {
+        let scene = this.getScene(key);
+        if (["running", "paused"].includes(scene.sys.settings.status)) {
+            this.shutdown(scene);
+        }
+    }
+    pause(key) {
+        let scene = this.getScene(key);
+        if (scene.sys.settings.status === "running") {
+            scene.sys.settings.status = "paused";
+        }
+    }
+    resume(key) {
+        let scene = this.getScene(key);
+        if (scene.sys.settings.status === "paused") {
+            scene.sys.settings.status = "running";
+        }
+    }
+    isActive(key) {
+        return this.getScene(key).sys.settings.status === "running";
+    }
+    getScenes(is_active) {
+        return this.scenes.filter(scene => !is_active || scene.sys.settings.status === "running");
+    }
+    isPaused(key) {
+        return this.getScene(key).sys.settings.status === "paused";
+    }
+    shutdown(scene) {
+        scene.sys.settings.status = "shutdown";
+        scene.events.emit("shutdown");
+        scene.sys.display_list.slice().forEach(obj => obj.destroy());
+        // Like in Phaser, the scene plugins are reset but the loader keeps its listeners
+        let load = scene.load;
+        boot_scene(scene, this.game);
+        scene.load = load;
+    }
+    // Advance the running scenes by one frame
+    step() {
+        if (!this.booted) {
+            this.boot();
+        }
+        this.scenes.filter(scene => scene.sys.settings.status === "running").forEach(scene => {
+            scene.time.update(FRAME_TIME);
+            scene.tweens.update(FRAME_TIME);
+            scene.update(this.game.time, FRAME_TIME);
+        });
+        this.game.time += FRAME_TIME;
+    }
+}
+
+class Game {
+    constructor(config, phaser) {
+        this.config = config;
+        this.phaser = phaser;
+        this.time = 0;
+        this.anims = new AnimationManager();
+        this.sound = {mute: false, sounds: [], add(key, config = {}) { let s = new Sound(this, key, config); this.sounds.push(s); return s; }};
+        this.loop = {actualFps: 60};
+        this.scene = new SceneManager(this, [].concat(config.scene || []));
+        // As in Phaser, postBoot is called before the first step
+        if (config.callbacks && config.callbacks.postBoot) {
+            config.callbacks.postBoot(this);
+        }
+    }
+    step(time, delta) {
+        this.scene.step();
+    }
+}
+
+/**
+ * Create a new fake Phaser namespace.
+ * @param {object}   [files]          The content of the data files that can be loaded (JSON maps, manifests, ...), by path.
+ * @param {string[]} [missing_files]  The paths of the files whose loading fails.
+ */
+const create_phaser = (files = {}, missing_files = []) => {
+    let phaser = {
+        AUTO: 0,
+        files: files,
+        missing_files: missing_files,
+        cache: {textures: {}, tilemaps: {}, json: {}},
+        Scene: Scene,
+        BlendModes: {NORMAL: 0, ADD: 1, MULTIPLY: 2, SCREEN: 3},
+        Geom: {
+            Rectangle: class {
+                constructor(x, y, width, height) { Object.assign(this, {x: x, y: y, width: width, height: height}); }
+            }
+        },
+        Loader: {
+            File: class {
+                constructor(loader, config) {
+                    this.loader = loader;
+                    this.type = config.type;
+                    this.key = config.key;
+                    this.url = config.url;
+                }
+            }
+        }
+    };
+    phaser.Game = class extends Game {
+        constructor(config) {
+            super(config, phaser);
+        }
+    };
+    return phaser;
+};
+
+module.exports = { create_phaser, FRAME_TIME };
@@ -0,0 +1,82 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { started_game, check_errors } = require("./helpers");
+
+test("PP.particles functions check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let image = PP.assets.image.load(scene, "spark.png");
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+
+    check_errors(PP.particles.add_emitter, () => [scene, image, {}], [
+        [0, "scene",                   "scene should be a scene object"],
+        [1, box,                       "image should be an image or a sprite"],
+        [2, "options",                 "options should be an object"],
+        [2, {speed: 10},               "'speed' is not a valid emitter option"],
+        [2, {lifespan: "1000"},        "options.lifespan should be a number"],
+        [2, {lifespan: 0},             "options.lifespan invalid number (<=0)"],
+        [2, {alpha_end: 2},            "options.alpha_end must be between 0 and 1"],
+        [2, {tint: 0x1000000},         "options.tint must be between 0x000000 and 0xFFFFFF"],
+        [2, {blend_mode: "lighter"},   "options.blend_mode should be \"normal\""],
+        [2, {emitting: 1},             "options.emitting should be a boolean"],
+    ]);
+
+    let emitter = PP.particles.add_emitter(scene, image);
+    check_errors(PP.particles.explode, () => [emitter, 10, 20, 5], [
+        [0, box,   "emitter is not a valid emitter object"],
+        [1, "10",  "x should be a number"],
+        [2, "20",  "y should be a number"],
+        [3, 0,     "count invalid number (<=0)"],
+    ]);
+    check_errors(PP.particles.follow, () => [emitter, box, 0, 0], [
+        [0, image, "emitter is not a valid emitter object"],
+        [1, {},    "obj is an object but it is not a valid object"],
+        [2, "0",   "offset_x should be a number"],
+    ]);
+});
+
+test("PP.particles.add_emitter translates the options to Phaser", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let sheet = PP.assets.sprite.load_spritesheet(scene, "smoke.png", 16, 16, 0, 2);
+
+    let emitter = PP.particles.add_emitter(scene, sheet, {
+        x: 100, y: 0, zone_width: 800, speed_min: 50, speed_max: 100, angle_min: 80, angle_max: 100,
+        scale_start: 1, scale_end: 0, alpha_end: 0, gravity_y: 200, tint: 0xFFAA00, blend_mode: "add",
+        frame: [0, 1, 2], emitting: false
+    });
+    assert.strictEqual(emitter.type, "emitter");
+    assert.strictEqual(emitter.ph_obj.texture.key, sheet.id);
+    assert.deepStrictEqual([emitter.ph_obj.x, emitter.ph_obj.y], [100, 0]);
+    assert.deepEqual(emitter.ph_obj.config, {
+        angle: {min: 80, max: 100}, lifespan: 1000, gravityX: 0, gravityY: 200, frequency: 0, quantity: 1,
+        blendMode: 1, emitting: false, speed: {min: 50, max: 100}, scale: {start: 1, end: 0}, alpha: {start: 1, end: 0},
+        tint: 0xFFAA00, frame: [0, 1, 2], emitZone: {type: "random", source: {x: 0, y: 0, width: 800, height: 0}}
+    });
+
+    // The emitter can be moved around as any other instance
+    PP.game_object.set_depth(emitter, 5);
+    assert.strictEqual(emitter.ph_obj.depth, 5);
+});
+
+test("emitters can explode, be started and stopped, and follow an instance", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let image = PP.assets.image.load(scene, "dust.png");
+    let player = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+
+    let emitter = PP.particles.add_emitter(scene, image, {emitting: false});
+    PP.particles.explode(emitter, 10, 20, 30);
+    assert.deepStrictEqual(emitter.ph_obj.explosions, [[30, 10, 20]]);
+
+    PP.particles.start(emitter);
+    assert.strictEqual(emitter.ph_obj.emitting, true);
+    PP.particles.stop(emitter);
+    assert.strictEqual(emitter.ph_obj.emitting, false);
+
+    PP.particles.follow(emitter, player, 0, 5);
+    assert.deepStrictEqual(emitter.ph_obj.follow, {target: player.ph_obj, offset_x: 0, offset_y: 5});
+    PP.particles.stop_follow(emitter);
+    assert.strictEqual(emitter.ph_obj.follow, null);
+});
@@ -0,0 +1,166 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { new_game, started_game, throws, check_errors } = require("./helpers");
+
+test("PP.physics functions check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    let wall = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    PP.physics.add(scene, box, PP.physics.type.DYNAMIC);
+    PP.physics.add(scene, wall, PP.physics.type.STATIC);
+
+    check_errors(PP.physics.add, () => [scene, PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0), PP.physics.type.DYNAMIC], [
+        [1, "box",      "instance should be an object"],
+        [1, {},         "instance is an object but it is not a valid object"],
+        [2, "dynamic2", "physics_type must be PP.physics.type.DYNAMIC or PP.physics.type.STATIC"],
+        [1, box,        "The instance has already a physics body"],
+    ]);
+    check_errors(PP.physics.set_velocity_x, () => [box, 10], [
+        [0, "box",  "instance should be an object"],
+        [0, wall,   "instance has no dynamic physics body"],
+        [1, "10",   "value should be a number"],
+    ]);
+    check_errors(PP.physics.set_bounce, () => [box, 0.5, 0.5], [
+        [1, 2,      "bounce_x must be between 0 and 1"],
+        [2, "0",    "bounce_y should be a number"],
+    ]);
+    throws(() => PP.physics.get_immovable(PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0)), "instance has no physics body");
+});
+
+test("PP.physics functions reject destroyed instances", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    PP.physics.add(scene, box, PP.physics.type.DYNAMIC);
+    PP.game_object.destroy(box);
+
+    throws(() => PP.physics.add(scene, box, PP.physics.type.DYNAMIC), "The object has already been destroyed");
+    ["get_velocity_x", "get_velocity_y", "get_acceleration_x", "get_acceleration_y", "get_bounce", "get_immovable"].forEach(name => {
+        throws(() => PP.physics[name](box), "The object has already been destroyed");
+    });
+    ["set_velocity_x", "set_velocity_y", "set_acceleration_x", "set_acceleration_y"].forEach(name => {
+        throws(() => PP.physics[name](box, 10), "The object has already been destroyed");
+    });
+    throws(() => PP.physics.set_bounce(box, 0, 0), "The object has already been destroyed");
+    throws(() => PP.physics.set_immovable(box, true), "The object has already been destroyed");
+    throws(() => PP.physics.set_allow_gravity(box, true), "The object has already been destroyed");
+    throws(() => PP.physics.set_collide_world_bounds(box, true), "The object has already been destroyed");
+});
+
+test("PP.physics functions set and get the body properties", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let box = PP.shapes.add_rectangle(scene, 0, 0, 10, 10, 0xFF0000);
+    PP.physics.add(scene, box, PP.physics.type.DYNAMIC);
+
+    PP.physics.set_velocity_x(box, 10);
+    PP.physics.set_acceleration_y(box, -5);
+    PP.physics.set_bounce(box, 0.5, 1);
+    assert.strictEqual(PP.physics.get_velocity_x(box), 10);
+    assert.strictEqual(PP.physics.get_acceleration_y(box), -5);
+    assert.deepEqual(PP.physics.get_bounce(box), {x: 0.5, y: 1});
+    assert.strictEqual(PP.physics.get_immovable(box), false);
+});
+
+// A started game with a player, two coins and a layer of walls, all with a physics body.
+const collision_game = () => {
+    let files = {"level.json": {width: 2, height: 1, tilewidth: 16, tileheight: 16, tilesets: [{name: "ground"}],
+                                layers: [{name: "walls", type: "tilelayer", data: [1, 2]}]}};
+    let g = {};
+    g.h = new_game([{
+        name    : "main",
+        preload : (s) => {
+            g.json_map = g.h.PP.assets.tilemap.load(s, "level.json");
+            g.tiles    = g.h.PP.assets.image.load(s, "tiles.png");
+        },
+        create  : (s) => {
+            let PP = g.h.PP;
+            g.player = PP.shapes.add_rectangle(s, 0, 0, 10, 10, 0xFF0000);
+            g.coins  = [PP.shapes.add_rectangle(s, 20, 0, 5, 5, 0xFFFF00), PP.shapes.add_rectangle(s, 40, 0, 5, 5, 0xFFFF00)];
+            [g.player, ...g.coins].forEach(obj => PP.physics.add(s, obj, PP.physics.type.DYNAMIC));
+            let map = PP.assets.tilemap.add(s, g.json_map);
+            PP.assets.tilemap.add_tileset(map, "ground", g.tiles);
+            g.walls = PP.assets.tilemap.add_layer(map, "walls", 0, 0);
+            PP.assets.tilemap.set_solid(g.walls, [2]);
+        }
+    }], {files: files});
+    g.h.PP.game.start("main");
+    g.scene = g.h.get_scene("main");
+    g.hits = [];
+    g.record = (scene, instance1, instance2) => { g.hits.push([scene, instance1, instance2]); };
+    return g;
+};
+
+test("PP.physics.add_collider and add_overlap check their parameters", () => {
+    let { h, scene, player, coins } = collision_game();
+    let PP = h.PP;
+    let noop = () => {};
+
+    [PP.physics.add_collider, PP.physics.add_overlap].forEach(fn => {
+        check_errors(fn, () => [scene, player, coins, noop], [
+            [0, "scene",         "scene should be a scene object"],
+            [1, "player",        "obj1 should be an instance, an array of instances or a group"],
+            [1, null,            "obj1 should be an instance, an array of instances or a group"],
+            [1, {},              "obj1 should be an instance, an array of instances or a group"],
+            [2, [coins[0], 1],   "obj2 should be an instance, an array of instances or a group"],
+            [2, [coins[0], {}],  "obj2 should be an instance, an array of instances or a group"],
+            [3, "noop",          "function_to_call should be a function"],
+        ]);
+    });
+    throws(() => PP.physics.add_overlap(scene, player, coins), "function_to_call should be a function");
+
+    PP.game_object.destroy(coins[1]);
+    throws(() => PP.physics.add_collider(scene, coins[1], player), "The object has already been destroyed");
+    throws(() => PP.physics.add_overlap(scene, player, coins), "The object has already been destroyed");
+});
+
+test("collision callbacks get the instances in the order of the parameters", () => {
+    let g = collision_game();
+    let PP = g.h.PP;
+
+    PP.physics.add_overlap(g.scene, g.player, g.coins, g.record);
+    let overlap = g.scene.physics.colliders[0];
+    assert.strictEqual(overlap.type, "overlap");
+    assert.strictEqual(overlap.object1, g.player.ph_obj);
+    assert.deepStrictEqual(overlap.object2, g.coins.map(coin => coin.ph_obj));
+
+    overlap.collide(g.player.ph_obj, g.coins[1].ph_obj);
+    // Phaser may give the objects swapped, e.g. when the first argument is an array and the second a single object
+    overlap.collide(g.coins[0].ph_obj, g.player.ph_obj);
+    assert.strictEqual(g.hits.length, 2);
+    assert.strictEqual(g.hits[0][0], g.scene);
+    assert.deepStrictEqual(g.hits.map(hit => [hit[1], hit[2]]), [[g.player, g.coins[1]], [g.player, g.coins[0]]]);
+
+    // Without a callback, the collider only separates the bodies
+    PP.physics.add_collider(g.scene, g.coins, g.coins);
+    g.scene.physics.colliders[1].collide(g.coins[0].ph_obj, g.coins[1].ph_obj);
+    assert.strictEqual(g.hits.length, 2);
+});
+
+test("collision callbacks get the group members and the tiles of a layer", () => {
+    let g = collision_game();
+    let PP = g.h.PP;
+    let group = PP.groups.create(g.scene);
+    PP.groups.add(group, g.coins[0]);
+
+    PP.physics.add_collider(g.scene, group, g.walls, g.record);
+    let collider = g.scene.physics.colliders[0];
+    assert.strictEqual(collider.object2, g.walls.ph_obj);
+
+    // The members added after the collider collide too
+    PP.groups.add(group, g.coins[1]);
+    assert.strictEqual(collider.object1, group.ph_objs);
+    assert.strictEqual(collider.object1.length, 2);
+
+    collider.collide(g.coins[1].ph_obj, g.walls.ph_obj.getTileAt(1, 0));
+    assert.strictEqual(g.hits[0][1], g.coins[1]);
+    assert.deepEqual(g.hits[0][2], {index: 2, col: 1, row: 0});
+
+    // Group against instance
+    PP.physics.add_collider(g.scene, g.player, group, g.record);
+    g.scene.physics.colliders[1].collide(g.coins[0].ph_obj, g.player.ph_obj);
+    assert.strictEqual(g.hits[1][1], g.player);
+    assert.strictEqual(g.hits[1][2], g.coins[0]);
+});
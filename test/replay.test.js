@@ -0,0 +1,142 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+const { new_game, started_game, throws, check_errors } = require("./helpers");
+
+test("PP.random repeats the same numbers with the same seed", () => {
+    let { h } = started_game();
+    let PP = h.PP;
+
+    PP.random.set_seed(42);
+    assert.strictEqual(PP.random.get_seed(), 42);
+    let first = [PP.random.number(), PP.random.number(10, 20), PP.random.integer(1, 6), PP.random.pick(["a", "b", "c"])];
+    PP.random.set_seed(42);
+    let second = [PP.random.number(), PP.random.number(10, 20), PP.random.integer(1, 6), PP.random.pick(["a", "b", "c"])];
+    assert.deepStrictEqual(first, second);
+
+    assert.ok(first[0] >= 0 && first[0] < 1);
+    assert.ok(first[1] >= 10 && first[1] < 20);
+    for (let i = 0; i < 100; i++) {
+        let dice = PP.random.integer(1, 6);
+        assert.ok(Number.isInteger(dice) && dice >= 1 && dice <= 6);
+    }
+
+    throws(() => PP.random.set_seed(1.5), "seed should be an integer");
+    check_errors(PP.random.integer, () => [1, 6], [
+        [0, "1",  "min should be an integer"],
+        [1, 0.5,  "max should be an integer"],
+        [1, 0,    "max cannot be less than min"],
+    ]);
+    throws(() => PP.random.number(2, 1), "max cannot be less than min");
+    throws(() => PP.random.pick([]), "array should be a non-empty array");
+});
+
+// A game whose update function logs what it sees at each frame: the mouse, the keys and a random number.
+const logging_game = () => {
+    let seen = [];
+    let h = new_game([{
+        name   : "main",
+        create : (s) => { h.PP.interactive.kb.on_key_down(s, h.PP.key_codes.SPACE, () => seen.push("jump")); },
+        update : (s) => {
+            let PP = h.PP;
+            seen.push([PP.interactive.mouse.get_x(s), PP.interactive.mouse.get_y(s), PP.interactive.mouse.is_down(s),
+                       PP.interactive.kb.is_key_down(s, PP.key_codes.SPACE), PP.random.integer(0, 1000)]);
+        }
+    }]);
+    return {h: h, seen: seen};
+};
+
+test("a recording replays the same input and random numbers in the update function", () => {
+    let recorded = logging_game();
+    let h = recorded.h;
+    h.PP.game.start("main");
+    h.step(3);
+
+    // The scene is restarted when the recording starts
+    recorded.seen.length = 0;
+    h.PP.replay.start_recording();
+    h.set_pointer("main", 100, 200, false);
+    h.step();
+    h.set_key(h.PP.key_codes.SPACE, true);
+    h.set_pointer("main", 110, 200, true);
+    h.step(2);
+    h.set_key(h.PP.key_codes.SPACE, false);
+    h.set_pointer("main", 120, 210, false);
+    h.step();
+    h.set_key(h.PP.key_codes.SPACE, true);
+    h.step();
+    let json = h.PP.replay.stop_recording();
+    assert.strictEqual(JSON.parse(json).frames.length, 5);
+
+    // Another player, on another computer
+    let replayed = logging_game();
+    replayed.h.PP.replay.play(json);
+    assert.strictEqual(replayed.h.PP.replay.is_playing(), true);
+    replayed.h.step(5);
+    assert.deepStrictEqual(replayed.seen, recorded.seen);
+    assert.strictEqual(replayed.seen.filter(s => s === "jump").length, 2);
+
+    // At the end of the recording the game goes on with the real input
+    replayed.h.step();
+    assert.strictEqual(replayed.h.PP.replay.is_playing(), false);
+    assert.strictEqual(replayed.h.logs.length, 0);
+    assert.strictEqual(replayed.h.get_scene("main").input.enabled, true);
+});
+
+test("a replay emits the mouse events of the instances under the pointer", () => {
+    let replay_game = () => {
+        let g = {events: [], box: null};
+        g.h = new_game([{
+            name   : "main",
+            create : (s) => {
+                let PP = g.h.PP;
+                let button = PP.shapes.add_rectangle(s, 0, 0, 100, 100, 0xFF0000);
+                ["pointerover", "pointerout", "pointerdown", "pointerup"].forEach(event => {
+                    PP.interactive.mouse.add(button, event, () => g.events.push(event));
+                });
+                g.box = PP.shapes.add_rectangle(s, 200, 200, 50, 50, 0x00FF00);
+                PP.interactive.mouse.set_draggable(g.box, true);
+                PP.interactive.mouse.add(g.box, "dragend", () => g.events.push("dragend"));
+            }
+        }]);
+        return g;
+    };
+
+    let recorded = replay_game();
+    recorded.h.PP.replay.start_recording();
+    recorded.h.PP.game.start("main");
+    [[50, 50, false], [50, 50, true], [50, 50, false], [500, 500, true], [500, 500, false],
+     [210, 210, false], [210, 210, true], [310, 260, true], [310, 260, false]].forEach(([x, y, down]) => {
+        recorded.h.set_pointer("main", x, y, down);
+        recorded.h.step();
+    });
+    let json = recorded.h.PP.replay.stop_recording();
+
+    let replayed = replay_game();
+    replayed.h.PP.replay.play(json);
+    replayed.h.step(9);
+    assert.deepStrictEqual(replayed.events, ["pointerover", "pointerdown", "pointerup", "pointerout", "dragend"]);
+    assert.strictEqual(replayed.box.ph_obj.x, 300);
+    assert.strictEqual(replayed.box.ph_obj.y, 250);
+});
+
+test("a recording started before the game starts from its first scene", () => {
+    let { h } = logging_game();
+    h.PP.replay.start_recording();
+    h.PP.game.start("main");
+    h.step(2);
+    let recording = JSON.parse(h.PP.replay.stop_recording());
+    assert.strictEqual(recording.scene, "main");
+    assert.strictEqual(recording.frames.length, 2);
+});
+
+test("PP.replay functions check the state of the game and the recording", () => {
+    let h = new_game();
+    throws(() => h.PP.replay.stop_recording(), "There is no recording to stop");
+    throws(() => h.PP.replay.play("not json"), "recording is not a valid recording");
+    throws(() => h.PP.replay.play({seed: 1, scene: "menu", frames: []}), "recording is not a valid recording");
+    throws(() => h.PP.replay.play(1), "recording is not a valid recording");
+
+    throws(() => create_harness().PP.replay.start_recording(), "The game must be created");
+});
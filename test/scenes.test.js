@@ -0,0 +1,161 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+const { noop, new_game, throws, check_errors } = require("./helpers");
+
+test("PP.scenes.add checks its parameters", () => {
+    let h = create_harness();
+    check_errors(h.PP.scenes.add, () => ["main", noop, noop, noop, noop], [
+        [0, 1,    "scene_name is not a string"],
+        [1, null, "load_function is not a function"],
+        [2, null, "create_function is not a function"],
+        [3, null, "update_function is not a function"],
+        [4, null, "destroy_function is not a function"],
+    ]);
+
+    h.PP.scenes.add("main", noop, noop, noop, noop);
+    throws(() => h.PP.scenes.add("main", noop, noop, noop, noop), "Duplicated scene name: main");
+});
+
+test("scene functions receive the scene and the data passed to PP.scenes.start", () => {
+    let calls = [];
+    let h = new_game([
+        {name: "menu"},
+        {
+            name    : "level",
+            preload : (s, data) => calls.push(["preload", s, data]),
+            create  : (s, data) => calls.push(["create", s, data]),
+            update  : (s)       => calls.push(["update", s]),
+        }
+    ]);
+    h.PP.game.start("menu");
+    h.PP.scenes.start("level", {score: 10});
+    h.step();
+
+    let scene = h.get_scene("level");
+    assert.deepStrictEqual(calls.map(c => c[0]), ["preload", "create", "update"]);
+    assert.ok(calls.every(c => c[1] === scene));
+    assert.deepStrictEqual(calls[0][2], {score: 10});
+    assert.deepStrictEqual(calls[1][2], {score: 10});
+});
+
+test("PP.game.start starts only the given scene, even if it is not the first one", () => {
+    let created = [];
+    let h = new_game([
+        {name: "first",  create: () => created.push("first")},
+        {name: "second", create: () => created.push("second")},
+        {name: "third"},
+    ]);
+    h.PP.game.start("second");
+    h.step();
+    assert.deepStrictEqual(created, ["second"]);
+    assert.ok(!h.PP.game.ph_obj.scene.isActive("first"));
+    assert.strictEqual(h.PP.scenes.get_current(), "second");
+
+    h.PP.scenes.start("third");
+    assert.deepStrictEqual(h.PP.game.ph_obj.scene.getScenes(true).map(s => s.sys.settings.key), ["third"]);
+});
+
+test("PP.scenes.start stops the previous scene and calls its destroy function", () => {
+    let destroyed = [];
+    let h = new_game([
+        {name: "first",  destroy: (s) => destroyed.push(s)},
+        {name: "second"},
+    ]);
+    h.PP.game.start("first");
+    h.PP.scenes.start("second");
+
+    assert.deepStrictEqual(destroyed, [h.get_scene("first")]);
+    assert.ok(!h.PP.game.ph_obj.scene.isActive("first"));
+    assert.strictEqual(h.PP.scenes.get_current(), "second");
+
+    // The destroy function is called again at every stop
+    h.PP.scenes.start("first");
+    h.PP.scenes.start("second");
+    assert.strictEqual(destroyed.length, 2);
+});
+
+test("PP.scenes.restart runs the main scene again with new data", () => {
+    let created = [];
+    let destroyed = 0;
+    let h = new_game([{name: "main", create: (s, data) => created.push(data), destroy: () => destroyed++}]);
+    h.PP.game.start("main");
+    h.PP.scenes.restart({lives: 2});
+
+    assert.deepEqual(created, [{}, {lives: 2}]);
+    assert.strictEqual(destroyed, 1);
+    assert.strictEqual(h.PP.scenes.get_current(), "main");
+});
+
+test("PP.scenes.stop stops the main scene and its overlays", () => {
+    let h = new_game([{name: "main"}, {name: "pause"}]);
+    h.PP.game.start("main");
+    h.PP.scenes.start_overlay("pause");
+    h.PP.scenes.stop();
+
+    assert.strictEqual(h.PP.scenes.get_current(), undefined);
+    assert.ok(!h.PP.game.ph_obj.scene.isActive("main"));
+    assert.ok(!h.PP.game.ph_obj.scene.isActive("pause"));
+});
+
+test("overlays pause the scenes below them and are stacked", () => {
+    let updates = {main: 0, pause: 0, options: 0};
+    let h = new_game(Object.keys(updates).map(name => ({name: name, update: () => updates[name]++})));
+    h.PP.game.start("main");
+    h.PP.scenes.start_overlay("pause", {from: "main"});
+    h.PP.scenes.start_overlay("options");
+    h.step();
+
+    assert.deepStrictEqual(updates, {main: 0, pause: 0, options: 1});
+    assert.strictEqual(h.PP.scenes.get_current(), "options");
+    assert.deepStrictEqual(h.get_scene("pause").sys.settings.data, {from: "main"});
+
+    h.PP.scenes.stop_overlay();
+    h.step();
+    assert.deepStrictEqual(updates, {main: 0, pause: 1, options: 1});
+    assert.strictEqual(h.PP.scenes.get_current(), "pause");
+
+    h.PP.scenes.stop_overlay();
+    h.step();
+    assert.deepStrictEqual(updates, {main: 1, pause: 1, options: 1});
+    assert.strictEqual(h.PP.scenes.get_current(), "main");
+});
+
+test("PP.scenes.stop_all_overlays resumes the main scene", () => {
+    let h = new_game([{name: "main"}, {name: "pause"}, {name: "options"}]);
+    h.PP.game.start("main");
+    h.PP.scenes.stop_all_overlays();    // Nothing to do
+    h.PP.scenes.start_overlay("pause");
+    h.PP.scenes.start_overlay("options");
+    h.PP.scenes.stop_all_overlays();
+
+    assert.strictEqual(h.PP.scenes.get_current(), "main");
+    assert.ok(h.PP.game.ph_obj.scene.isActive("main"));
+});
+
+test("PP.scenes functions check their parameters and the state of the game", () => {
+    let h = new_game([{name: "main"}, {name: "pause"}]);
+
+    throws(() => h.PP.scenes.restart(), "you should start a scene before restarting it");
+    throws(() => h.PP.scenes.stop(), "you should start a scene before stopping it");
+    throws(() => h.PP.scenes.start_overlay("pause"), "A non-overlay scene must be previously started");
+    throws(() => h.PP.scenes.stop_overlay(), "There is no overlay to stop");
+
+    check_errors(h.PP.scenes.start, () => ["main", {}], [
+        [0, 1,       "scene_name is not a string"],
+        [1, "data",  "data should be an object"],
+        [0, "other", "No scene named 'other' exist"],
+    ]);
+
+    h.PP.game.start("main");
+    check_errors(h.PP.scenes.start_overlay, () => ["pause", {}], [
+        [0, 1,       "scene_name is not a string"],
+        [1, "data",  "data should be an object"],
+        [0, "other", "No scene named 'other' exist"],
+        [0, "main",  "The scene 'main' is already running"],
+    ]);
+
+    h.PP.scenes.start_overlay("pause");
+    throws(() => h.PP.scenes.start_overlay("pause"), "The scene 'pause' is already running");
+});
@@ -0,0 +1,75 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { create_harness } = require("./harness");
+const { new_game, throws, check_errors } = require("./helpers");
+
+test("PP.storage saves and loads values across the page reloads", () => {
+    let h = new_game();
+    let PP = h.PP;
+
+    // Objects are created in the game context, as in a game script
+    h.run('PP.storage.save("progress", {level: 3, name: "Ada", items: ["key", null], done: false})');
+    PP.storage.save("high_score", 1200);
+    assert.deepEqual(PP.storage.load("progress"), {level: 3, name: "Ada", items: ["key", null], done: false});
+    assert.strictEqual(PP.storage.load("high_score"), 1200);
+    assert.strictEqual(PP.storage.load("missing"), undefined);
+    assert.strictEqual(PP.storage.load("missing", 0), 0);
+
+    // An object saved twice in the same value is not a cycle
+    h.run('let shared = {x: 1}; PP.storage.save("shared", [shared, {a: shared}])');
+    assert.deepEqual(PP.storage.load("shared"), [{x: 1}, {a: {x: 1}}]);
+
+    assert.deepStrictEqual(Array.from(PP.storage.list_keys()).sort(), ["high_score", "progress", "shared"]);
+    PP.storage.remove("progress");
+    assert.strictEqual(PP.storage.load("progress", "none"), "none");
+    PP.storage.clear();
+    assert.strictEqual(PP.storage.list_keys().length, 0);
+});
+
+test("PP.storage keeps the data of each game under its own prefix", () => {
+    let h = new_game([{name: "main"}], {config: {game_name: "platformer"}});
+    let storage = h.run("window.localStorage");
+    storage.setItem("poliphaser:other_game:high_score", "5");
+    storage.setItem("unrelated", "1");
+
+    h.PP.storage.save("high_score", 10);
+    assert.strictEqual(storage.getItem("poliphaser:platformer:high_score"), "10");
+    assert.deepStrictEqual(Array.from(h.PP.storage.list_keys()), ["high_score"]);
+
+    h.PP.storage.clear();
+    assert.strictEqual(storage.getItem("poliphaser:other_game:high_score"), "5");
+    assert.strictEqual(storage.getItem("unrelated"), "1");
+
+    // Without a game name, the prefix is the id of the canvas
+    let other = new_game();
+    other.PP.storage.save("lives", 3);
+    assert.strictEqual(other.run("window.localStorage").getItem("poliphaser:game_area:lives"), "3");
+
+    // A corrupted value gives the default value with a warning
+    storage.setItem("poliphaser:platformer:broken", "{");
+    assert.strictEqual(h.PP.storage.load("broken", 1), 1);
+    assert.strictEqual(h.warnings.length, 1);
+});
+
+test("PP.storage rejects the values that cannot be saved", () => {
+    let h = new_game();
+    let PP = h.PP;
+    let cyclic = h.run("let cyclic = {name: 'loop'}; cyclic.self = cyclic; cyclic");
+    let cyclic_array = h.run("let cyclic_array = [1]; cyclic_array.push(cyclic_array); cyclic_array");
+
+    check_errors(PP.storage.save, () => ["key", 1], [
+        [0, 1,                    "key should be a string"],
+        [1, undefined,            "value cannot be saved"],
+        [1, NaN,                  "value cannot be saved"],
+        [1, () => 1,              "value cannot be saved"],
+        [1, [1, undefined],       "value cannot be saved"],
+        [1, h.run("new Map()"),   "value cannot be saved"],
+        [1, cyclic,               "value cannot be saved"],
+        [1, cyclic_array,         "value cannot be saved"],
+    ]);
+    throws(() => PP.storage.load(1), "key should be a string");
+    throws(() => PP.storage.remove(1), "key should be a string");
+
+    throws(() => create_harness().PP.storage.load("key"), "The game must be created");
+});
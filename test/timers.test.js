@@ -0,0 +1,68 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { started_game, throws, check_errors } = require("./helpers");
+
+test("PP.timers functions check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let noop = () => {};
+
+    check_errors(PP.timers.add, () => [scene, 100, noop, 0], [
+        [0, "scene",   "scene should be a scene object"],
+        [1, "100",     "delay should be a number"],
+        [1, 0,         "delay invalid number (<=0)"],
+        [2, "noop",    "function_to_call should be a function"],
+        [3, "1",       "repeat should be a number"],
+        [3, -2,        "repeat invalid number (<-1)"],
+    ]);
+    let timer = PP.timers.add(scene, 100, noop);
+    throws(() => PP.timers.remove({}), "timer is not a valid timer object");
+    check_errors(PP.timers.pause, () => [timer, true], [
+        [0, "timer",   "timer is not a valid timer object"],
+        [1, 1,         "paused should be a boolean"],
+    ]);
+});
+
+test("timers call their function after the delay, as many times as requested", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let once = [], twice = 0, forever = 0;
+
+    PP.timers.add(scene, 100, (s) => once.push(s));
+    PP.timers.add(scene, 100, () => twice++, 1);
+    let endless = PP.timers.add(scene, 100, () => forever++, -1);
+    assert.strictEqual(endless.type, "timer");
+
+    h.step(5);
+    assert.deepStrictEqual([once.length, twice, forever], [0, 0, 0]);
+    h.step(2);
+    assert.deepStrictEqual(once, [scene]);
+    assert.deepStrictEqual([twice, forever], [1, 1]);
+
+    // One second later
+    h.step(60);
+    assert.deepStrictEqual([once.length, twice, forever], [1, 2, 11]);
+
+    PP.timers.remove(endless);
+    h.step(60);
+    assert.strictEqual(forever, 11);
+});
+
+test("a paused timer keeps the time elapsed so far", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let calls = 0;
+
+    let timer = PP.timers.add(scene, 100, () => calls++);
+    h.step(3);
+    PP.timers.pause(timer, true);
+    h.step(60);
+    assert.strictEqual(calls, 0);
+
+    PP.timers.pause(timer, false);
+    h.step(2);
+    assert.strictEqual(calls, 0);
+    h.step(2);
+    assert.strictEqual(calls, 1);
+});
@@ -0,0 +1,70 @@
+const test   = require("node:test");
+const assert = require("assert");
+
+const { started_game, throws, check_errors } = require("./helpers");
+
+test("PP.tweens functions check their parameters", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let door = PP.shapes.add_rectangle(scene, 0, 0, 10, 50, 0xFF0000);
+
+    check_errors(PP.tweens.add, () => [scene, door, {x: 100, duration: 500}], [
+        [0, "scene",                                     "scene should be a scene object"],
+        [1, "door",                                      "obj should be an object"],
+        [2, "config",                                    "config should be an object"],
+        [2, {x: 100, duration: 500, speed: 2},           "'speed' is not a valid tween option"],
+        [2, {x: 100},                                    "config.duration should be a number"],
+        [2, {x: 100, duration: 0},                       "config.duration invalid number (<=0)"],
+        [2, {x: 100, duration: 500, easing: "fast"},     "config.easing is not a valid easing name"],
+        [2, {x: 100, duration: 500, yoyo: 1},            "config.yoyo should be a boolean"],
+        [2, {x: 100, duration: 500, repeat: -2},         "config.repeat invalid number (<-1)"],
+        [2, {x: 100, duration: 500, delay: "1"},         "config.delay should be a number"],
+        [2, {x: "100", duration: 500},                   "config.x should be a number"],
+        [2, {duration: 500},                             "config should contain at least one property to animate"],
+        [3, "done",                                      "function_to_call should be a function"],
+    ]);
+    throws(() => PP.tweens.stop(door), "tween is not a valid tween object");
+
+    PP.game_object.destroy(door);
+    throws(() => PP.tweens.add(scene, door, {x: 100, duration: 500}), "The object has already been destroyed");
+});
+
+test("PP.tweens.add translates the configuration to Phaser and calls back at the end", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let door = PP.shapes.add_rectangle(scene, 0, 0, 10, 50, 0xFF0000);
+    let done = [];
+
+    let tween = PP.tweens.add(scene, door, {y: -50, scale_x: 2, duration: 100, easing: "bounce_out", delay: 50},
+                              (s, obj) => done.push([s, obj]));
+    assert.strictEqual(tween.type, "tween");
+    let config = tween.ph_obj.config;
+    assert.strictEqual(config.targets, door.ph_obj);
+    assert.deepStrictEqual([config.y, config.scaleX, config.x], [-50, 2, undefined]);
+    assert.deepStrictEqual([config.duration, config.ease, config.yoyo, config.repeat, config.delay],
+                           [100, "Bounce.easeOut", false, 0, 50]);
+
+    h.step(6);
+    assert.strictEqual(done.length, 0);
+    h.step(4);
+    assert.deepStrictEqual(done, [[scene, door]]);
+    assert.strictEqual(door.ph_obj.y, -50);
+    assert.strictEqual(door.ph_obj.scaleX, 2);
+
+    // The default easing is linear
+    assert.strictEqual(PP.tweens.add(scene, door, {alpha: 0, duration: 100}).ph_obj.config.ease, "Linear");
+});
+
+test("a stopped tween does not reach its target nor call back", () => {
+    let { h, scene } = started_game();
+    let PP = h.PP;
+    let door = PP.shapes.add_rectangle(scene, 0, 0, 10, 50, 0xFF0000);
+    let done = 0;
+
+    let tween = PP.tweens.add(scene, door, {x: 100, duration: 100}, () => done++);
+    h.step(2);
+    PP.tweens.stop(tween);
+    h.step(10);
+    assert.strictEqual(done, 0);
+    assert.strictEqual(door.ph_obj.x, 0);
+});